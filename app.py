@@ -1,14 +1,57 @@
 """
 Optional Flask app to serve all teaching demos from a single landing page.
 Run with: python app.py
+
+Demos are discovered by scanning demos/*/ for an index.html. Each demo's
+title, description, tags, course and difficulty come from front matter at
+the top of its README.md (or a demo.json manifest next to it):
+
+    ---
+    title: Feedback Control: Depth Tracking
+    description: Proportional control of an underwater robot.
+    tags: [Controls, 2nd Order Systems]
+    course: E79
+    difficulty: intermediate
+    ---
+
+The same metadata builds the landing page, the static demos/index.html
+and the demo table in the root README. Regenerate the last two with:
+python app.py build
+
+Student work posted by demos (demos/_shared/submissions.js) is stored in
+SQLite (SUBMISSIONS_DB, default submissions.db). Listing, CSV export and
+the /instructor dashboard need the INSTRUCTOR_PASSWORD environment
+variable and ask for it through HTTP basic auth (any user name). The
+dashboard also releases exam feedback, which exam-mode demos poll for.
+
+Live sync: an instructor's copy of a demo can host a session with a join
+code (demos/_shared/live-sync.js). Students who join follow the host's
+sliders through server-sent events until the host releases control.
+Sessions live in memory and end when the app stops.
 """
 
+import csv
+import functools
+import hmac
+import io
+import json
+import math
 import os
-from flask import Flask, send_from_directory, render_template_string
+import re
+import secrets
+import sqlite3
+import sys
+import threading
+import time
+from datetime import datetime, timezone
+from urllib.parse import quote
+from flask import Flask, Response, g, jsonify, redirect, request, send_from_directory
 
 app = Flask(__name__)
 
-DEMOS_DIR = os.path.join(os.path.dirname(__file__), "demos")
+ROOT_DIR = os.path.dirname(os.path.abspath(__file__))
+DEMOS_DIR = os.path.join(ROOT_DIR, "demos")
+README_PATH = os.path.join(ROOT_DIR, "README.md")
 
 LANDING_PAGE = """
 <!DOCTYPE html>
@@ -16,13 +59,26 @@ LANDING_PAGE = """
 <head>
 <meta charset="UTF-8">
 <meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>Teaching Demos</title>
+{% if generated %}<!-- Generated by `python app.py build` from each demo's README front matter. Do not edit by hand. -->
+{% endif %}<title>Teaching Demos</title>
 <style>
   * { box-sizing: border-box; margin: 0; padding: 0; }
   body { font-family: system-ui, sans-serif; background: #0d1117; color: #e6edf3; min-height: 100vh; padding: 2rem; }
   .container { max-width: 800px; margin: 0 auto; }
   h1 { font-size: 2rem; margin-bottom: 0.3rem; }
-  .subtitle { color: #7d8590; margin-bottom: 2rem; font-size: 1.05rem; }
+  .subtitle { color: #7d8590; margin-bottom: 1.5rem; font-size: 1.05rem; }
+  .filters { display: flex; flex-wrap: wrap; gap: 6px; align-items: center; margin-bottom: 1.2rem; }
+  .search {
+    flex: 1 1 100%; margin-bottom: 4px; padding: 8px 12px; font: inherit; font-size: 0.95rem;
+    background: #161b22; color: #e6edf3; border: 1px solid #30363d; border-radius: 8px;
+  }
+  .search:focus { outline: none; border-color: #58a6ff; }
+  .tag-filter {
+    font: inherit; font-size: 0.8rem; padding: 3px 10px; border-radius: 12px; cursor: pointer;
+    background: transparent; color: #7d8590; border: 1px solid #30363d;
+  }
+  .tag-filter:hover { color: #e6edf3; border-color: #58a6ff; }
+  .tag-filter[aria-pressed="true"] { background: #1a3050; color: #58a6ff; border-color: #58a6ff; }
   .demo-grid { display: grid; gap: 1rem; }
   .demo-card {
     background: #161b22; border: 1px solid #30363d; border-radius: 10px;
@@ -30,75 +86,195 @@ LANDING_PAGE = """
     transition: border-color 0.2s, transform 0.15s;
   }
   .demo-card:hover { border-color: #58a6ff; transform: translateY(-2px); }
+  .demo-card[hidden] { display: none; }
   .demo-card h2 { font-size: 1.2rem; color: #58a6ff; margin-bottom: 0.4rem; }
   .demo-card p { color: #7d8590; font-size: 0.95rem; line-height: 1.5; }
   .tag { display: inline-block; font-size: 0.75rem; padding: 2px 8px; border-radius: 12px;
          background: #1a3050; color: #58a6ff; margin-right: 6px; margin-bottom: 8px; }
-  .footer { margin-top: 3rem; color: #484f58; font-size: 0.85rem; text-align: center; }
+  .meta { font-size: 0.8rem; color: #484f58; margin-top: 0.6rem; }
+  .empty { color: #7d8590; text-align: center; padding: 2rem 0; }
+  .footer { margin-top: 3rem; color: #484f58; font-size: 0.85rem; text-align: center;
+           display: flex; flex-wrap: wrap; justify-content: center; gap: 4px 0; }
   .footer a { color: #58a6ff; text-decoration: none; }
+  .footer-segment { display: inline-flex; align-items: center; white-space: nowrap; }
+
+  @media (max-width: 480px) {
+    body { padding: 1rem; }
+    h1 { font-size: 1.5rem; }
+    .subtitle { font-size: 0.9rem; margin-bottom: 1.2rem; }
+    .demo-card { padding: 1.2rem; }
+    .demo-card h2 { font-size: 1.05rem; }
+  }
 </style>
 </head>
 <body>
 <div class="container">
   <h1>Teaching Demos</h1>
   <p class="subtitle">Interactive visualizations for engineering and science education</p>
+  <div class="filters">
+    <input class="search" id="search" type="search" placeholder="Search demos" aria-label="Search demos">
+    {%- for tag in all_tags %}
+    <button class="tag-filter" type="button" aria-pressed="false">{{ tag }}</button>
+    {%- endfor %}
+  </div>
   <div class="demo-grid">
-    {% for demo in demos %}
-    <a class="demo-card" href="demos/{{ demo.slug }}/">
+    {%- for demo in demos %}
+    <a class="demo-card" href="{{ base }}{{ demo.slug }}/" data-tags="{{ demo.tags | join('|') }}"
+       data-text="{{ [demo.title, demo.description, demo.course, demo.difficulty] | select | join(' ') | lower }} {{ demo.tags | join(' ') | lower }}">
       <div>
         {% for tag in demo.tags %}<span class="tag">{{ tag }}</span>{% endfor %}
       </div>
       <h2>{{ demo.title }}</h2>
       <p>{{ demo.description }}</p>
+      {% if demo.course or demo.difficulty %}<p class="meta">{{ [demo.course, demo.difficulty] | select | join(' · ') }}</p>{% endif %}
     </a>
-    {% endfor %}
+    {%- endfor %}
+  </div>
+  <p class="empty" id="empty" hidden>No demos match.</p>
+  <div class="footer">
+    <span class="footer-segment">
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="margin-right:4px;">
+        <path d="M15 14c.2-1 .7-1.7 1.5-2.5 1-.9 1.5-2.2 1.5-3.5A6 6 0 0 0 6 8c0 1 .2 2.2 1.5 3.5.7.7 1.3 1.5 1.5 2.5"/>
+        <path d="M9 18h6"/>
+        <path d="M10 22h4"/>
+      </svg>
+      <span>Built by <a href="https://joshbrake.com">Josh Brake</a> cooking with <a href="https://claude.ai/claude-code">Claude Code</a>.</span>
+    </span>
+    <span class="footer-segment" style="margin-left:6px;">
+      <svg width="14" height="14" viewBox="0 0 16 16" fill="#484f58" style="margin-right:4px;">
+        <path d="M8 0C3.58 0 0 3.58 0 8c0 3.54 2.29 6.53 5.47 7.59.4.07.55-.17.55-.38 0-.19-.01-.82-.01-1.49-2.01.37-2.53-.49-2.69-.94-.09-.23-.48-.94-.82-1.13-.28-.15-.68-.52-.01-.53.63-.01 1.08.58 1.23.82.72 1.21 1.87.87 2.33.66.07-.52.28-.87.51-1.07-1.78-.2-3.64-.89-3.64-3.95 0-.87.31-1.59.82-2.15-.08-.2-.36-1.02.08-2.12 0 0 .67-.21 2.2.82.64-.18 1.32-.27 2-.27.68 0 1.36.09 2 .27 1.53-1.04 2.2-.82 2.2-.82.44 1.1.16 1.92.08 2.12.51.56.82 1.27.82 2.15 0 3.07-1.87 3.75-3.65 3.95.29.25.54.73.54 1.48 0 1.07-.01 1.93-.01 2.2 0 .21.15.46.55.38A8.013 8.013 0 0016 8c0-4.42-3.58-8-8-8z"/>
+      </svg>
+      <a href="https://github.com/joshbrake/teaching-demos">View source code on GitHub.</a>
+    </span>
   </div>
-  <p class="footer">
-    Built for workshops with <a href="https://claude.ai/claude-code">Claude Code</a>.
-    Each demo is a single HTML file &mdash; view source to see the code.
-  </p>
 </div>
+<script>
+  // Show cards that have every selected tag and contain every search word.
+  const search = document.getElementById('search');
+  const buttons = [...document.querySelectorAll('.tag-filter')];
+  const cards = [...document.querySelectorAll('.demo-card')];
+
+  function applyFilters() {
+    const words = search.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    const tags = buttons.filter(b => b.getAttribute('aria-pressed') === 'true').map(b => b.textContent);
+    let shown = 0;
+    for (const card of cards) {
+      const cardTags = card.dataset.tags.split('|');
+      const match = tags.every(t => cardTags.includes(t)) && words.every(w => card.dataset.text.includes(w));
+      card.hidden = !match;
+      if (match) shown++;
+    }
+    document.getElementById('empty').hidden = shown > 0;
+  }
+
+  for (const b of buttons) {
+    b.addEventListener('click', () => {
+      b.setAttribute('aria-pressed', b.getAttribute('aria-pressed') === 'true' ? 'false' : 'true');
+      applyFilters();
+    });
+  }
+  search.addEventListener('input', applyFilters);
+</script>
 </body>
 </html>
 """
 
-# Demo metadata — add new demos here
-DEMOS = [
-    {
-        "slug": "feedback-control",
-        "title": "Feedback Control: Depth Tracking",
-        "description": "Proportional control of an underwater robot. Adjust gain, mass, and drag to explore overshoot, damping, and rise time. Based on HMC E79.",
-        "tags": ["Controls", "2nd Order Systems", "Interactive"],
-    },
-    {
-        "slug": "two-body-orbit",
-        "title": "Two-Body Orbits: Newtonian Gravity",
-        "description": "Two masses orbiting their common center of mass. Adjust masses, semi-major axis, and eccentricity to explore Kepler's laws and orbital mechanics.",
-        "tags": ["Mechanics", "Gravity", "Kepler's Laws"],
-    },
-    {
-        "slug": "figure-critique",
-        "title": "Figure Critique: E80 Guidelines",
-        "description": "Identify issues in scientific figures using the HMC E80 rubric. Click on problem areas, classify issues, then check your answers against the key.",
-        "tags": ["Scientific Writing", "Figures", "Assessment"],
-    },
-    {
-        "slug": "progressive-rendering",
-        "title": "Progressive Rendering: Why Basis Functions Matter",
-        "description": "Compare pixel-by-pixel vs. DCT frequency ordering to see why JPEG compression works. Same data, different basis — dramatically different quality.",
-        "tags": ["Signal Processing", "Compression", "JPEG"],
-    },
-]
+# Metadata fields a demo can declare; anything else in its front matter is ignored.
+DEMO_FIELDS = ("title", "description", "tags", "course", "difficulty")
+
+
+def parse_front_matter(text):
+    """Split a README into (metadata, body).
+
+    Front matter is a leading block of `key: value` lines between `---`
+    fences. A value in [brackets] is a comma-separated list, and values may
+    be quoted. Text without front matter gives ({}, text).
+    """
+    match = re.match(r"---\s*\n(.*?)\n---\s*(?:\n|$)", text, re.S)
+    if not match:
+        return {}, text
+    meta = {}
+    for line in match.group(1).splitlines():
+        if not line.strip() or line.lstrip().startswith("#"):
+            continue
+        key, sep, value = line.partition(":")
+        if not sep:
+            raise ValueError(f"front matter line is not `key: value`: {line!r}")
+        value = value.strip()
+        if value.startswith("[") and value.endswith("]"):
+            meta[key.strip()] = [_unquote(v) for v in value[1:-1].split(",") if v.strip()]
+        else:
+            meta[key.strip()] = _unquote(value)
+    return meta, text[match.end():]
+
+
+def _unquote(value):
+    value = value.strip()
+    if len(value) >= 2 and value[0] == value[-1] and value[0] in "\"'":
+        return value[1:-1]
+    return value
+
+
+def _readme_fallback(body):
+    """Title from the first heading, description from the first paragraph."""
+    title = re.search(r"^#\s+(.+)$", body, re.M)
+    paragraphs = [p.strip() for p in re.split(r"\n\s*\n", body)]
+    description = next((p for p in paragraphs if p and not p.startswith(("#", "```", "|", "-", "!"))), "")
+    return {
+        "title": title.group(1).strip() if title else "",
+        "description": " ".join(description.split()),
+    }
+
+
+def load_demo(slug):
+    """Metadata for one demo folder: README front matter, overridden by demo.json if present."""
+    folder = os.path.join(DEMOS_DIR, slug)
+    meta = {}
+    readme = os.path.join(folder, "README.md")
+    if os.path.isfile(readme):
+        with open(readme, encoding="utf-8") as f:
+            front, body = parse_front_matter(f.read())
+        meta = {**_readme_fallback(body), **front}
+    manifest = os.path.join(folder, "demo.json")
+    if os.path.isfile(manifest):
+        with open(manifest, encoding="utf-8") as f:
+            meta.update(json.load(f))
+
+    demo = {field: meta.get(field) for field in DEMO_FIELDS}
+    demo["slug"] = slug
+    demo["title"] = demo["title"] or slug.replace("-", " ").title()
+    demo["description"] = demo["description"] or ""
+    tags = demo["tags"] or []
+    demo["tags"] = [tags] if isinstance(tags, str) else list(tags)
+    return demo
+
+
+def discover_demos():
+    """Every folder under demos/ with an index.html (folders starting with _ are shared code)."""
+    slugs = sorted(
+        name for name in os.listdir(DEMOS_DIR)
+        if not name.startswith(("_", "."))
+        and os.path.isfile(os.path.join(DEMOS_DIR, name, "index.html"))
+    )
+    return [load_demo(slug) for slug in slugs]
+
+
+def render_landing(demos, base, generated=False):
+    """Landing page with links relative to `base` ("demos/" at the site root, "" inside demos/)."""
+    all_tags = sorted({tag for demo in demos for tag in demo["tags"]}, key=str.lower)
+    return app.jinja_env.from_string(LANDING_PAGE).render(
+        demos=demos, all_tags=all_tags, base=base, generated=generated
+    )
 
 
 @app.get("/")
 def index():
-    return render_template_string(LANDING_PAGE, demos=DEMOS)
+    return render_landing(discover_demos(), "demos/")
 
 
 @app.get("/demos/")
 def demos_index():
-    return send_from_directory(DEMOS_DIR, "index.html")
+    return render_landing(discover_demos(), "")
 
 
 @app.get("/demos/<path:filepath>")
@@ -113,5 +289,607 @@ def serve_demo(filepath):
     return send_from_directory(directory, filename)
 
 
+# Local stand-in for an xAPI learning record store, so assessment exports
+# can be tested without a real LRS. Statements are kept in memory only.
+XAPI_STATEMENTS = []
+
+
+@app.post("/xapi/statements")
+def xapi_store():
+    data = request.get_json(force=True, silent=True)
+    if data is None:
+        return jsonify({"error": "expected a JSON statement or list of statements"}), 400
+    statements = data if isinstance(data, list) else [data]
+    if not all(isinstance(s, dict) for s in statements):
+        return jsonify({"error": "expected a JSON statement or list of statements"}), 400
+    XAPI_STATEMENTS.extend(statements)
+    return jsonify([s.get("id") for s in statements])
+
+
+@app.get("/xapi/statements")
+def xapi_list():
+    return jsonify({"statements": XAPI_STATEMENTS, "more": ""})
+
+
+# ── Submissions ──────────────────────────────────────
+# Demos POST {student, demo, payload}; payload is the demo's own record.
+# Scores are read from it where present, following the assessment
+# engine's attempt record: payload.score = {points, maxPoints} and
+# payload.challenges = [{title, status, score: {points, maxPoints}}].
+
+DB_PATH = os.environ.get("SUBMISSIONS_DB", os.path.join(ROOT_DIR, "submissions.db"))
+MAX_SUBMISSION_BYTES = 2 * 1024 * 1024
+
+SCHEMA = """
+CREATE TABLE IF NOT EXISTS submissions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    student TEXT NOT NULL,
+    demo TEXT NOT NULL,
+    submitted_at TEXT NOT NULL,
+    payload TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS submissions_demo ON submissions (demo, student);
+CREATE TABLE IF NOT EXISTS exam_releases (
+    demo TEXT NOT NULL,
+    exam TEXT NOT NULL,
+    released_at TEXT NOT NULL,
+    PRIMARY KEY (demo, exam)
+);
+"""
+
+
+def get_db():
+    if "db" not in g:
+        g.db = sqlite3.connect(DB_PATH)
+        g.db.row_factory = sqlite3.Row
+        g.db.executescript(SCHEMA)
+    return g.db
+
+
+@app.teardown_appcontext
+def close_db(exc):
+    db = g.pop("db", None)
+    if db is not None:
+        db.close()
+
+
+def instructor_only(view):
+    """HTTP basic auth against INSTRUCTOR_PASSWORD; the user name is ignored."""
+    @functools.wraps(view)
+    def wrapped(*args, **kwargs):
+        password = os.environ.get("INSTRUCTOR_PASSWORD")
+        if not password:
+            return jsonify({"error": "set INSTRUCTOR_PASSWORD to enable instructor routes"}), 503
+        auth = request.authorization
+        if not auth or not hmac.compare_digest((auth.password or "").encode(), password.encode()):
+            return Response("Instructor password required", 401, {"WWW-Authenticate": 'Basic realm="instructor"'})
+        return view(*args, **kwargs)
+    return wrapped
+
+
+def fetch_submissions(demo=None):
+    sql = "SELECT id, student, demo, submitted_at, payload FROM submissions"
+    args = ()
+    if demo:
+        sql += " WHERE demo = ?"
+        args = (demo,)
+    rows = get_db().execute(sql + " ORDER BY id", args).fetchall()
+    return [{**dict(row), "payload": json.loads(row["payload"])} for row in rows]
+
+
+def _percent(score):
+    # Submissions are checked on the way in, but rows stored before that
+    # may still hold anything.
+    if not isinstance(score, dict):
+        return None
+    try:
+        points, max_points = float(score["points"]), float(score["maxPoints"])
+    except (KeyError, TypeError, ValueError):
+        return None
+    if not (math.isfinite(points) and math.isfinite(max_points) and max_points > 0):
+        return None
+    return max(0.0, min(100.0, 100.0 * points / max_points))
+
+
+def _is_number(value):
+    return isinstance(value, (int, float)) and not isinstance(value, bool) and math.isfinite(value)
+
+
+def _payload_error(payload):
+    """The first problem with the scores and challenge entries the dashboard
+    and CSV export read, or None. Everything else in a payload is opaque."""
+    def score_error(score, path):
+        if score is None:
+            return None
+        if not isinstance(score, dict):
+            return f"{path}: expected an object {{points, maxPoints}}"
+        if not (_is_number(score.get("points")) and _is_number(score.get("maxPoints")) and score["maxPoints"] > 0):
+            return f"{path}: expected numeric points and maxPoints > 0"
+        return None
+
+    error = score_error(payload.get("score"), "payload.score")
+    challenges = payload.get("challenges")
+    if error or challenges is None:
+        return error
+    if not isinstance(challenges, list) or not all(isinstance(ch, dict) for ch in challenges):
+        return "payload.challenges: expected a list of objects"
+    for i, ch in enumerate(challenges):
+        for key in ("title", "status"):
+            if not isinstance(ch.get(key, ""), str):
+                return f"payload.challenges[{i}].{key}: expected a string"
+        error = score_error(ch.get("score"), f"payload.challenges[{i}].score")
+        if error:
+            return error
+    return None
+
+
+def _challenges(payload):
+    challenges = payload.get("challenges")
+    if not isinstance(challenges, list):
+        return []
+    return [c for c in challenges if isinstance(c, dict) and c.get("type") != "tutorial"]
+
+
+@app.get("/api/status")
+def api_status():
+    # Lets demos check that they are served by this app before offering
+    # "Submit" or live sessions.
+    return jsonify({"submissions": True, "sync": True})
+
+
+@app.post("/api/submissions")
+def submit():
+    if (request.content_length or 0) > MAX_SUBMISSION_BYTES:
+        return jsonify({"error": "submission too large"}), 413
+    data = request.get_json(force=True, silent=True)
+    if not isinstance(data, dict):
+        return jsonify({"error": "expected a JSON object {student, demo, payload}"}), 400
+    student = str(data.get("student") or "").strip()
+    demo = str(data.get("demo") or "")
+    payload = data.get("payload")
+    if not student or len(student) > 200:
+        return jsonify({"error": "student: expected a non-empty id"}), 400
+    if demo not in {d["slug"] for d in discover_demos()}:
+        return jsonify({"error": f"demo: unknown demo {demo!r}"}), 400
+    if not isinstance(payload, dict):
+        return jsonify({"error": "payload: expected a JSON object"}), 400
+    error = _payload_error(payload)
+    if error:
+        return jsonify({"error": error}), 400
+
+    submitted_at = datetime.now(timezone.utc).isoformat(timespec="seconds")
+    db = get_db()
+    cur = db.execute(
+        "INSERT INTO submissions (student, demo, submitted_at, payload) VALUES (?, ?, ?, ?)",
+        (student, demo, submitted_at, json.dumps(payload)),
+    )
+    db.commit()
+    return jsonify({"id": cur.lastrowid, "submitted_at": submitted_at}), 201
+
+
+@app.get("/api/submissions")
+@instructor_only
+def list_submissions():
+    return jsonify({"submissions": fetch_submissions(request.args.get("demo"))})
+
+
+CSV_COLUMNS = ["submission_id", "submitted_at", "student", "demo", "challenge", "status", "points", "max_points"]
+
+
+def _csv_cell(value):
+    # Students' text that a spreadsheet would run as a formula gets a
+    # leading apostrophe.
+    if isinstance(value, str) and value[:1] in ("=", "+", "-", "@", "\t", "\r"):
+        return "'" + value
+    return value
+
+
+def _score(obj):
+    score = obj.get("score")
+    return score if isinstance(score, dict) else {}
+
+
+@app.get("/api/submissions.csv")
+@instructor_only
+def export_submissions():
+    """One row per challenge in each submission (one row per submission if it has none)."""
+    out = io.StringIO()
+    writer = csv.writer(out)
+    writer.writerow(CSV_COLUMNS)
+
+    def write(row):
+        writer.writerow([_csv_cell(v) for v in row])
+
+    for sub in fetch_submissions(request.args.get("demo")):
+        base = [sub["id"], sub["submitted_at"], sub["student"], sub["demo"]]
+        challenges = _challenges(sub["payload"])
+        if not challenges:
+            score = _score(sub["payload"])
+            write(base + ["", "", score.get("points", ""), score.get("maxPoints", "")])
+        for ch in challenges:
+            score = _score(ch)
+            write(base + [ch.get("title", ""), ch.get("status", ""), score.get("points", ""), score.get("maxPoints", "")])
+    name = f"{request.args.get('demo') or 'all'}-submissions.csv"
+    return Response(out.getvalue(), mimetype="text/csv", headers={"Content-Disposition": f'attachment; filename="{name}"'})
+
+
+def summarize(submissions):
+    """Per demo: students, overall score histogram and per-challenge completion
+    and histograms, counting each student's latest submission only."""
+    latest = {}
+    for sub in submissions:
+        latest[(sub["demo"], sub["student"])] = sub
+
+    def histogram(percents):
+        bins = [0] * 10
+        for p in percents:
+            bins[min(int(p // 10), 9)] += 1
+        return bins
+
+    demos = {}
+    for (slug, _), sub in sorted(latest.items()):
+        demo = demos.setdefault(slug, {"slug": slug, "students": 0, "overall": [], "challenges": {}, "exams": {}})
+        demo["students"] += 1
+        exam = _exam_id(sub["payload"])
+        if exam:
+            demo["exams"][exam] = demo["exams"].get(exam, 0) + 1
+        overall = _percent(sub["payload"].get("score"))
+        if overall is not None:
+            demo["overall"].append(overall)
+        for i, ch in enumerate(_challenges(sub["payload"])):
+            title = str(ch.get("title") or f"Challenge {i + 1}")
+            entry = demo["challenges"].setdefault(title, {"title": title, "attempts": 0, "completed": 0, "scores": []})
+            entry["attempts"] += 1
+            if ch.get("status") == "completed":
+                entry["completed"] += 1
+            pct = _percent(ch.get("score"))
+            if pct is not None:
+                entry["scores"].append(pct)
+
+    result = []
+    for demo in demos.values():
+        challenges = []
+        for entry in demo["challenges"].values():
+            scores = entry.pop("scores")
+            entry["mean"] = round(sum(scores) / len(scores)) if scores else None
+            entry["histogram"] = histogram(scores) if scores else None
+            challenges.append(entry)
+        result.append({
+            "slug": demo["slug"],
+            "students": demo["students"],
+            "mean": round(sum(demo["overall"]) / len(demo["overall"])) if demo["overall"] else None,
+            "histogram": histogram(demo["overall"]) if demo["overall"] else None,
+            "challenges": challenges,
+            "exams": [{"id": exam, "students": n, "released": exam_released(demo["slug"], exam)}
+                      for exam, n in sorted(demo["exams"].items())],
+        })
+    return result
+
+
+def _exam_id(payload):
+    # An exam attempt record has `exam` set; the bank id names the exam.
+    if not isinstance(payload.get("exam"), dict):
+        return None
+    return str(payload.get("bankId") or "") or None
+
+
+INSTRUCTOR_PAGE = """
+<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Submissions &middot; Teaching Demos</title>
+<style>
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: system-ui, sans-serif; background: #0d1117; color: #e6edf3; min-height: 100vh; padding: 2rem; }
+  .container { max-width: 900px; margin: 0 auto; }
+  h1 { font-size: 2rem; margin-bottom: 0.3rem; }
+  .subtitle { color: #7d8590; margin-bottom: 2rem; font-size: 1.05rem; }
+  .demo { background: #161b22; border: 1px solid #30363d; border-radius: 10px; padding: 1.5rem; margin-bottom: 1rem; }
+  .demo h2 { font-size: 1.2rem; color: #58a6ff; margin-bottom: 0.4rem; }
+  .demo p { color: #7d8590; font-size: 0.9rem; margin-bottom: 0.8rem; }
+  .demo a { color: #58a6ff; text-decoration: none; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+  th, td { text-align: left; padding: 6px 8px; border-top: 1px solid #30363d; vertical-align: middle; }
+  th { color: #7d8590; font-weight: 500; }
+  .bar { display: inline-block; width: 60px; height: 6px; background: #21262d; border-radius: 3px; overflow: hidden; vertical-align: middle; margin-right: 6px; }
+  .bar span { display: block; height: 100%; background: #3fb950; }
+  .hist { display: inline-flex; align-items: flex-end; gap: 2px; height: 28px; vertical-align: middle; }
+  .hist span { width: 8px; background: #58a6ff; min-height: 1px; border-radius: 1px; }
+  .empty { color: #7d8590; }
+  .exam { display: flex; align-items: center; gap: 8px; color: #7d8590; font-size: 0.9rem; margin-bottom: 0.8rem; }
+  .exam form { display: inline; }
+  .exam button { font: inherit; font-size: 0.8rem; padding: 3px 10px; border-radius: 6px; cursor: pointer;
+                 background: #1a3050; color: #58a6ff; border: 1px solid #30363d; }
+  .exam button:hover { border-color: #58a6ff; }
+</style>
+</head>
+<body>
+<div class="container">
+  <h1>Submissions</h1>
+  <p class="subtitle">Each student's latest submission per demo. Histograms run from 0% (left) to 100% (right).</p>
+  {%- macro hist(bins) -%}
+    {%- if bins %}{% set top = bins | max %}<span class="hist" title="{{ bins | join(' / ') }}">
+      {%- for n in bins %}<span style="height: {{ (100 * n / top) | round | int }}%"></span>{% endfor -%}
+    </span>{% else %}<span class="empty">no scores</span>{% endif -%}
+  {%- endmacro %}
+  {%- for demo in demos %}
+  <div class="demo">
+    <h2>{{ titles.get(demo.slug, demo.slug) }}</h2>
+    <p>
+      {{ demo.students }} student{{ '' if demo.students == 1 else 's' }}
+      {%- if demo.mean is not none %} &middot; mean {{ demo.mean }}% {{ hist(demo.histogram) }}{% endif %}
+      &middot; <a href="api/submissions.csv?demo={{ demo.slug | urlencode }}">Download CSV</a>
+    </p>
+    {%- for exam in demo.exams %}
+    <div class="exam">
+      <span>Exam <strong>{{ exam.id }}</strong>: {{ exam.students }} submitted &middot;
+        feedback {{ 'released' if exam.released else 'withheld' }}</span>
+      <form method="post" action="api/exams/{{ demo.slug | urlencode }}/{{ exam.id | pathsegment }}">
+        <input type="hidden" name="released" value="{{ '0' if exam.released else '1' }}">
+        <button type="submit">{{ 'Withhold feedback' if exam.released else 'Release feedback' }}</button>
+      </form>
+    </div>
+    {%- endfor %}
+    {%- if demo.challenges %}
+    <table>
+      <tr><th>Challenge</th><th>Completed</th><th>Mean</th><th>Scores</th></tr>
+      {%- for ch in demo.challenges %}
+      <tr>
+        <td>{{ ch.title }}</td>
+        <td><span class="bar"><span style="width: {{ (100 * ch.completed / ch.attempts) | round | int }}%"></span></span>{{ ch.completed }}/{{ ch.attempts }}</td>
+        <td>{{ '%d%%' % ch.mean if ch.mean is not none else '&ndash;' | safe }}</td>
+        <td>{{ hist(ch.histogram) }}</td>
+      </tr>
+      {%- endfor %}
+    </table>
+    {%- endif %}
+  </div>
+  {%- else %}
+  <p class="empty">No submissions yet.</p>
+  {%- endfor %}
+</div>
+</body>
+</html>
+"""
+
+
+@app.get("/instructor")
+@instructor_only
+def instructor_dashboard():
+    titles = {d["slug"]: d["title"] for d in discover_demos()}
+    return app.jinja_env.from_string(INSTRUCTOR_PAGE).render(demos=summarize(fetch_submissions()), titles=titles)
+
+
+# ── Exam feedback release ────────────────────────────
+# Exam-mode demos withhold scores and the answer key after a student
+# submits, until the instructor releases feedback for that exam (the
+# bank id). Demos poll the flag; only the instructor can set it. Bank ids
+# may contain "/", so the exam is matched as a path and quoted whole.
+
+app.jinja_env.filters["pathsegment"] = lambda value: quote(str(value), safe="")
+
+
+def exam_released(demo, exam):
+    row = get_db().execute("SELECT 1 FROM exam_releases WHERE demo = ? AND exam = ?", (demo, exam)).fetchone()
+    return row is not None
+
+
+def _check_exam(demo, exam):
+    if demo not in {d["slug"] for d in discover_demos()}:
+        return jsonify({"error": f"demo: unknown demo {demo!r}"}), 400
+    if not exam or len(exam) > 200:
+        return jsonify({"error": "exam: expected a non-empty id"}), 400
+    return None
+
+
+@app.get("/api/exams/<demo>/<path:exam>")
+def exam_status(demo, exam):
+    error = _check_exam(demo, exam)
+    return error or jsonify({"demo": demo, "exam": exam, "released": exam_released(demo, exam)})
+
+
+@app.post("/api/exams/<demo>/<path:exam>")
+@instructor_only
+def exam_release(demo, exam):
+    """Set the release flag from JSON {released: bool}, or from the dashboard's form."""
+    error = _check_exam(demo, exam)
+    if error:
+        return error
+    data = request.get_json(silent=True)
+    if isinstance(data, dict) and isinstance(data.get("released"), bool):
+        released = data["released"]
+    elif request.form.get("released") in ("0", "1"):
+        released = request.form["released"] == "1"
+    else:
+        return jsonify({"error": "expected {released: bool}"}), 400
+
+    db = get_db()
+    if released:
+        released_at = datetime.now(timezone.utc).isoformat(timespec="seconds")
+        db.execute("INSERT OR IGNORE INTO exam_releases (demo, exam, released_at) VALUES (?, ?, ?)", (demo, exam, released_at))
+    else:
+        db.execute("DELETE FROM exam_releases WHERE demo = ? AND exam = ?", (demo, exam))
+    db.commit()
+    if request.form:
+        return redirect("/instructor", 303)
+    return jsonify({"demo": demo, "exam": exam, "released": released})
+
+
+# ── Live classroom sync ──────────────────────────────
+# The host (holding the session token) posts its control state; followers
+# stream it from /api/sync/<code>/events. `released` tells followers to
+# stop following until the host takes control again.
+
+SYNC_SESSIONS = {}
+SYNC_LOCK = threading.Lock()
+SYNC_IDLE_SECONDS = 6 * 3600
+SYNC_HEARTBEAT_SECONDS = 15
+JOIN_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789"   # no 0/O, 1/I/L
+
+
+class SyncSession:
+    def __init__(self, demo):
+        self.demo = demo
+        self.token = secrets.token_urlsafe(16)
+        self.state = {}
+        self.released = False
+        self.ended = False
+        self.version = 0
+        self.touched = time.monotonic()
+        self.changed = threading.Condition()
+
+    def snapshot(self):
+        return {"demo": self.demo, "state": self.state, "released": self.released,
+                "ended": self.ended, "version": self.version}
+
+    def update(self, state=None, released=None, ended=False):
+        with self.changed:
+            if state is not None:
+                self.state = state
+            if released is not None:
+                self.released = bool(released)
+            self.ended = self.ended or ended
+            self.version += 1
+            self.touched = time.monotonic()
+            self.changed.notify_all()
+
+    def wait(self, version, timeout):
+        """Block until the version moves past `version` (or timeout); returns a snapshot."""
+        with self.changed:
+            self.changed.wait_for(lambda: self.version != version, timeout)
+            return self.snapshot()
+
+
+def get_sync_session(code):
+    with SYNC_LOCK:
+        session = SYNC_SESSIONS.get(code.upper())
+    if session is None:
+        return None, (jsonify({"error": f"no live session {code!r}"}), 404)
+    return session, None
+
+
+def _host_only(session):
+    token = request.headers.get("X-Sync-Token", "")
+    if not hmac.compare_digest(token.encode(), session.token.encode()):
+        return jsonify({"error": "only the session host can do that"}), 403
+    return None
+
+
+@app.post("/api/sync")
+def sync_create():
+    data = request.get_json(force=True, silent=True) or {}
+    demo = str(data.get("demo") or "")
+    if demo not in {d["slug"] for d in discover_demos()}:
+        return jsonify({"error": f"demo: unknown demo {demo!r}"}), 400
+    with SYNC_LOCK:
+        now = time.monotonic()
+        for code in [c for c, s in SYNC_SESSIONS.items() if now - s.touched > SYNC_IDLE_SECONDS]:
+            SYNC_SESSIONS.pop(code).update(ended=True)
+        code = "".join(secrets.choice(JOIN_CODE_ALPHABET) for _ in range(5))
+        while code in SYNC_SESSIONS:
+            code = "".join(secrets.choice(JOIN_CODE_ALPHABET) for _ in range(5))
+        session = SYNC_SESSIONS[code] = SyncSession(demo)
+    return jsonify({"code": code, "token": session.token}), 201
+
+
+@app.get("/api/sync/<code>")
+def sync_get(code):
+    session, error = get_sync_session(code)
+    return error or jsonify(session.snapshot())
+
+
+@app.post("/api/sync/<code>")
+def sync_update(code):
+    """Host only: {state?, released?} replaces the shared state and/or hands control over."""
+    session, error = get_sync_session(code)
+    if error:
+        return error
+    denied = _host_only(session)
+    if denied:
+        return denied
+    data = request.get_json(force=True, silent=True)
+    if not isinstance(data, dict) or not isinstance(data.get("state", {}), dict):
+        return jsonify({"error": "expected {state: {...}, released: bool}"}), 400
+    session.update(state=data.get("state"), released=data.get("released"))
+    return jsonify(session.snapshot())
+
+
+@app.delete("/api/sync/<code>")
+def sync_end(code):
+    session, error = get_sync_session(code)
+    if error:
+        return error
+    denied = _host_only(session)
+    if denied:
+        return denied
+    with SYNC_LOCK:
+        SYNC_SESSIONS.pop(code.upper(), None)
+    session.update(ended=True)
+    return "", 204
+
+
+@app.get("/api/sync/<code>/events")
+def sync_events(code):
+    """Server-sent events: the current snapshot, then one per change (comments keep it alive)."""
+    session, error = get_sync_session(code)
+    if error:
+        return error
+
+    def stream():
+        snapshot = session.snapshot()
+        yield f"data: {json.dumps(snapshot)}\n\n"
+        while not snapshot["ended"]:
+            version = snapshot["version"]
+            snapshot = session.wait(version, SYNC_HEARTBEAT_SECONDS)
+            if snapshot["version"] == version:
+                yield ": keep-alive\n\n"
+            else:
+                yield f"data: {json.dumps(snapshot)}\n\n"
+
+    return Response(stream(), mimetype="text/event-stream",
+                    headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"})
+
+
+README_START = "<!-- demos:start -->"
+README_END = "<!-- demos:end -->"
+
+
+def readme_table(demos):
+    """Markdown table of demos for the root README (topic = first tag)."""
+    rows = ["| Demo | Topic | Description |", "|------|-------|-------------|"]
+    for demo in demos:
+        title = demo["title"].split(":")[0].strip()
+        topic = demo["tags"][0] if demo["tags"] else ""
+        description = demo["description"].replace("|", "\\|")
+        rows.append(f"| [{title}](demos/{demo['slug']}/) | {topic} | {description} |")
+    return "\n".join(rows)
+
+
+def build():
+    """Regenerate demos/index.html and the README demo table from demo metadata."""
+    demos = discover_demos()
+    with open(os.path.join(DEMOS_DIR, "index.html"), "w", encoding="utf-8") as f:
+        f.write(render_landing(demos, "", generated=True).lstrip())
+
+    with open(README_PATH, encoding="utf-8") as f:
+        readme = f.read()
+    start, end = readme.find(README_START), readme.find(README_END)
+    if start < 0 or end < start:
+        sys.exit(f"README.md has no {README_START} ... {README_END} block to update")
+    table = readme_table(demos)
+    readme = readme[:start + len(README_START)] + "\n" + table + "\n" + readme[end:]
+    with open(README_PATH, "w", encoding="utf-8") as f:
+        f.write(readme)
+    print(f"Wrote demos/index.html and the README table ({len(demos)} demos)")
+
+
 if __name__ == "__main__":
-    app.run(host="0.0.0.0", port=5001, debug=True)
+    if sys.argv[1:] == ["build"]:
+        build()
+    elif sys.argv[1:]:
+        sys.exit("usage: python app.py [build]")
+    else:
+        # Threaded so live-sync event streams don't block other requests
+        app.run(host="0.0.0.0", port=5001, debug=True, threaded=True)
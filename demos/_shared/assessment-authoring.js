@@ -0,0 +1,261 @@
+/**
+ * AssessmentAuthor — in-browser authoring mode for AssessmentEngine banks.
+ *
+ * While active, the engine's panels become an editor for the current
+ * challenge: every zone is outlined with its id, clicking a zone and
+ * picking a rubric item adds an answer-key entry, and explanations,
+ * weights, hints, title and difficulty are edited in place. "Preview"
+ * hands the challenge back to the normal student view (with a "Back to
+ * Authoring" button); "Export Bank JSON" validates and downloads the bank
+ * in the schema documented in assessment-bank.js.
+ *
+ * Edits change the engine's challenge objects in memory only, and the
+ * student's saved session is left untouched while authoring.
+ *
+ * Usage:
+ *   const author = new AssessmentAuthor(engine);
+ *   engine.start().then(ok => { if (ok) author.enable(); });
+ */
+
+/* eslint-disable no-unused-vars */
+class AssessmentAuthor {
+  constructor(engine) {
+    this.engine = engine;
+    this.active = false;
+    this._errors = null;    // last validation result shown in the panel
+    engine.author = this;
+  }
+
+  enable() {
+    const e = this.engine;
+    e.author = this;
+    this._savedPersist = e.persist;
+    e.persist = false;
+    this.active = true;
+    e.loadChallenge(e.currentIndex);
+  }
+
+  disable() {
+    const e = this.engine;
+    this.active = false;
+    e.author = null;
+    e.persist = this._savedPersist;
+    e.loadChallenge(e.currentIndex);
+  }
+
+  /** Try the current challenge as a student, starting from a clean slate. */
+  preview() {
+    const e = this.engine;
+    e.core.resetChallenge(e.currentIndex);
+    this.active = false;
+    e.loadChallenge(e.currentIndex);
+  }
+
+  resume() {
+    this.active = true;
+    this.engine.loadChallenge(this.engine.currentIndex);
+  }
+
+  addKeyEntry(rubricId, zoneId) {
+    const ch = this._challenge();
+    ch.answerKey.push({ rubricId, zoneId, explanation: '' });
+    this.render();
+    const boxes = this.engine.rightPanel.querySelectorAll('.ae-author-explanation');
+    if (boxes.length) boxes[boxes.length - 1].focus();
+  }
+
+  exportBank() {
+    const e = this.engine;
+    this._errors = e.validateBank();
+    if (this._errors.length) {
+      this._renderLeft();
+      return false;
+    }
+    e.exporter.download(`${e.bankId}.json`, AssessmentBank.serialize(e.getBank()), 'application/json');
+    return true;
+  }
+
+  /* ── rendering ─────────────────────────────────────── */
+
+  render() {
+    this._renderLeft();
+    this._renderRight();
+    this._renderCenter();
+    this.engine._drawOverlay();
+  }
+
+  // Outline every zone with its id and mark each answer-key entry.
+  drawOverlay(ctx) {
+    const e = this.engine;
+    ctx.save();
+    ctx.font = '10px system-ui';
+    ctx.textBaseline = 'top';
+    for (const z of e.zones) {
+      if (z.el) continue;   // element zones carry their own outline
+      ctx.beginPath();
+      e._traceZone(ctx, z, 1);
+      ctx.strokeStyle = 'rgba(90,120,160,0.7)';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([3, 3]);
+      ctx.stroke();
+      const b = e._zoneBounds(z);
+      const w = ctx.measureText(z.id).width + 6;
+      ctx.fillStyle = 'rgba(17,30,48,0.85)';
+      ctx.fillRect(b.x + 2, b.y + 2, w, 14);
+      ctx.fillStyle = '#8ab4d0';
+      ctx.fillText(z.id, b.x + 5, b.y + 4);
+    }
+    ctx.setLineDash([]);
+    ctx.restore();
+
+    const perZone = {};
+    this._challenge().answerKey.forEach((k, i) => {
+      const id = Array.isArray(k.zoneId) ? k.zoneId[0] : k.zoneId;
+      const zone = e.zones.find(z => z.id === id) || e.extraZones.find(z => z.id === id);
+      if (!zone) return;
+      if (zone.el) { e._domMarker(id, e._rubricColor(k.rubricId), String(i + 1), e._rubricName(k.rubricId)); return; }
+      const n = perZone[id] = (perZone[id] || 0) + 1;
+      const b = e._zoneBounds(zone);
+      const x = Math.min(b.x + b.w / 2 + (n - 1) * 22, b.x + b.w - 10);
+      e._drawMarker(ctx, x, b.y + b.h / 2, e._rubricColor(k.rubricId), true, String(i + 1));
+    });
+  }
+
+  _challenge() { return this.engine.challenges[this.engine.currentIndex]; }
+
+  _el(tag, attrs, children) { return this.engine._el(tag, attrs, children); }
+
+  _section(title, children) { return this.engine._section(title, children); }
+
+  _renderLeft() {
+    const e = this.engine;
+    const ch = this._challenge();
+    const i = e.currentIndex, total = e.challenges.length;
+
+    const nav = this._el('div', { className: 'ae-nav' }, [
+      this._el('button', { className: 'ae-nav-btn', text: '\u2039', disabled: i === 0, 'aria-label': 'Previous challenge', on: { click: () => e.loadChallenge(i - 1) } }),
+      this._el('span', { className: 'ae-nav-label', text: `${i + 1} / ${total}` }),
+      this._el('button', { className: 'ae-nav-btn', text: '\u203a', disabled: i === total - 1, 'aria-label': 'Next challenge', on: { click: () => e.loadChallenge(i + 1) } })
+    ]);
+
+    const title = this._el('input', {
+      className: 'ae-input', type: 'text', value: ch.title || '', 'aria-label': 'Challenge title',
+      on: { input: ev => { ch.title = ev.target.value; } }
+    });
+    const difficulty = this._el('select', {
+      className: 'ae-input', 'aria-label': 'Difficulty',
+      on: { change: ev => { ch.difficulty = ev.target.value; } }
+    }, ['easy', 'medium', 'hard'].map(d => this._el('option', { value: d, text: d, selected: ch.difficulty === d })));
+
+    const challengeSection = this._section('Authoring', [
+      nav,
+      this._el('label', { className: 'ae-field' }, [this._el('span', { text: 'Title' }), title]),
+      this._el('label', { className: 'ae-field' }, [this._el('span', { text: 'Difficulty' }), difficulty])
+    ]);
+
+    // Hints
+    const hintList = this._el('div', {}, ch.hints.map((h, hi) => this._el('div', { className: 'ae-author-row' }, [
+      this._el('textarea', {
+        className: 'ae-input', rows: 2, value: AssessmentBank.hintText(h), 'aria-label': `Hint ${hi + 1}`,
+        on: { input: ev => { ch.hints[hi] = typeof h === 'string' ? ev.target.value : { ...h, text: ev.target.value }; } }
+      }),
+      this._el('button', { className: 'ae-finding-remove', text: '\u2717', 'aria-label': `Remove hint ${hi + 1}`, on: { click: () => { ch.hints.splice(hi, 1); this._renderLeft(); } } })
+    ])));
+    const hintSection = this._section('Hints', [
+      hintList,
+      this._el('button', { className: 'ae-btn ae-btn-subtle', text: 'Add Hint', on: { click: () => { ch.hints.push(''); this._renderLeft(); } } })
+    ]);
+
+    // Bank actions + validation result
+    const bankChildren = [
+      this._el('button', { className: 'ae-btn', text: 'Duplicate Challenge', on: { click: () => this._duplicate() } }),
+      this._el('button', { className: 'ae-btn', text: 'Validate Bank', on: { click: () => { this._errors = e.validateBank(); this._renderLeft(); } } }),
+      this._el('button', { className: 'ae-btn ae-btn-primary', text: 'Export Bank JSON', on: { click: () => this.exportBank() } })
+    ];
+    if (this._errors) {
+      bankChildren.push(this._errors.length
+        ? this._el('ul', { className: 'ae-bank-errors' }, this._errors.map(msg => this._el('li', { text: msg })))
+        : this._el('p', { className: 'ae-muted', text: 'Bank is valid.' }));
+    }
+
+    e.leftPanel.replaceChildren(challengeSection, hintSection, this._section('Bank', bankChildren));
+  }
+
+  _renderRight() {
+    const e = this.engine;
+    const ch = this._challenge();
+
+    if (ch.type === 'tutorial') {
+      e.rightPanel.replaceChildren(this._section('Answer Key', [
+        this._el('p', { className: 'ae-muted', text: 'Tutorial steps are edited in the bank JSON.' })
+      ]));
+      return;
+    }
+
+    const entries = ch.answerKey.map((k, ki) => {
+      const allowed = e.zones.filter(z => !z.rubricIds || z.rubricIds.includes(k.rubricId))
+        .concat(e.extraZones.filter(z => z.rubricIds.includes(k.rubricId)));
+      // An entry may accept several zones; the select edits the first
+      // (the one its marker is drawn on) and keeps the rest. Picking one
+      // of the others swaps it to the front.
+      const current = Array.isArray(k.zoneId) ? k.zoneId[0] : k.zoneId;
+      const alsoAccepted = Array.isArray(k.zoneId) ? k.zoneId.slice(1) : [];
+      const zoneSelect = this._el('select', {
+        className: 'ae-input', 'aria-label': `Zone for issue ${ki + 1}`,
+        on: { change: ev => {
+          const id = ev.target.value;
+          if (!Array.isArray(k.zoneId)) k.zoneId = id;
+          else if (alsoAccepted.includes(id)) { k.zoneId = [id, ...k.zoneId.filter(z => z !== id)]; this._renderRight(); }
+          else k.zoneId = [id, ...alsoAccepted];
+          e._drawOverlay();
+        } }
+      }, allowed.map(z => this._el('option', { value: z.id, text: z.id, selected: z.id === current })));
+      const weight = this._el('input', {
+        className: 'ae-input ae-author-weight', type: 'number', min: 0, step: 0.5, value: k.weight != null ? k.weight : 1,
+        'aria-label': `Weight for issue ${ki + 1}`, title: 'Weight',
+        on: { input: ev => { const v = parseFloat(ev.target.value); if (v === 1 || isNaN(v)) delete k.weight; else k.weight = v; } }
+      });
+      return this._el('div', { className: 'ae-finding ae-author-entry' }, [
+        this._el('span', { className: 'ae-finding-icon', text: String(ki + 1) }),
+        e._dot(e._rubricColor(k.rubricId)),
+        this._el('span', { text: e._rubricName(k.rubricId) }),
+        this._el('button', {
+          className: 'ae-finding-remove', text: '\u2717', 'aria-label': `Remove issue ${ki + 1}`,
+          on: { click: () => { ch.answerKey.splice(ki, 1); this.render(); } }
+        }),
+        this._el('div', { className: 'ae-author-row' }, [zoneSelect, weight]),
+        ...(alsoAccepted.length ? [this._el('p', { className: 'ae-muted', text: `Also accepts: ${alsoAccepted.join(', ')}` })] : []),
+        this._el('textarea', {
+          className: 'ae-input ae-author-explanation', rows: 3, value: k.explanation || '',
+          placeholder: 'Explanation shown in review', 'aria-label': `Explanation for issue ${ki + 1}`,
+          on: { input: ev => { k.explanation = ev.target.value; } }
+        })
+      ]);
+    });
+
+    e.rightPanel.replaceChildren(this._section('Answer Key', [
+      this._el('p', { className: 'ae-muted', text: 'Click a zone in the figure (or focus it and press Enter) to add an issue there.' }),
+      ...(entries.length ? entries : [this._el('p', { className: 'ae-muted', text: 'No issues: students should find nothing wrong.' })])
+    ]));
+  }
+
+  _renderCenter() {
+    const e = this.engine;
+    const buttons = [];
+    if (this._challenge().type !== 'tutorial') {
+      buttons.push(this._el('button', { className: 'ae-btn ae-btn-primary', text: 'Preview as Student', on: { click: () => this.preview() } }));
+    }
+    buttons.push(this._el('button', { className: 'ae-btn', text: 'Exit Authoring', on: { click: () => this.disable() } }));
+    e.centerControls.replaceChildren(...buttons);
+  }
+
+  // New challenges are copies (so host content like plotConfig comes
+  // along) appended at the end, keeping saved per-index state aligned.
+  _duplicate() {
+    const e = this.engine;
+    const copy = JSON.parse(JSON.stringify(this._challenge()));
+    copy.title = `${copy.title} (copy)`;
+    e.challenges.push(copy);
+    e.loadChallenge(e.challenges.length - 1);
+  }
+}
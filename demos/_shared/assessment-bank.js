@@ -0,0 +1,207 @@
+/**
+ * AssessmentBank — loads and validates challenge banks for AssessmentEngine.
+ *
+ * A bank is a JSON document (or the equivalent JS object):
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "id": "e80-figures",              // names the saved session
+ *     "title": "E80 Figure Critique",   // optional
+ *     "rubric": [
+ *       {"id": "x-axis-label", "category": "Axes", "shortName": "X-Axis Label",
+ *        "description": "..."}
+ *     ],
+ *     "challenges": [
+ *       {
+ *         "title": "...", "difficulty": "easy" | "medium" | "hard",
+ *         "type": "tutorial",           // optional; omitted for critiques
+ *         "matchMode": "exact",         // optional; "exact" | "parent" | "any"
+ *         "points": 10,                 // optional
+ *         "distractor": true,           // optional; drawn into exams only on request
+ *         "answerKey": [
+ *           {"rubricId": "x-axis-label", "zoneId": "x-axis",   // or ["x-axis", ...]
+ *            "explanation": "...", "weight": 1}
+ *         ],
+ *         "hints": ["text", {"text": "...", "rubricId": "...", "zoneId": "..."}],
+ *         "tutorialSteps": [{"zoneId": "title", "label": "...", "text": "...", "domTarget": false}],
+ *         ...                           // host-specific content (e.g. plotConfig)
+ *       }
+ *     ]
+ *   }
+ *
+ * Zone ids are not part of the bank: they come from the host page's
+ * computeZones() (plus any extra zones it declares), so validate() is given
+ * a zonesFor(challenge) function and checks every reference against it.
+ *
+ * Usage:
+ *   AssessmentBank.load('bank.json').then(bank => {
+ *     const errors = AssessmentBank.validate(bank, ch => zones);
+ *     if (errors.length) throw new AssessmentBankError(errors);
+ *   });
+ */
+
+/* eslint-disable no-unused-vars */
+class AssessmentBankError extends Error {
+  constructor(errors) {
+    super(`Invalid challenge bank (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n  ` + errors.join('\n  '));
+    this.name = 'AssessmentBankError';
+    this.errors = errors;
+  }
+}
+
+class AssessmentBank {
+  static get SCHEMA_VERSION() { return 1; }
+
+  /** Resolve a bank from a URL (fetched as JSON) or an object. */
+  static load(source) {
+    if (typeof source !== 'string') return Promise.resolve(source);
+    return fetch(source)
+      .then(res => {
+        if (!res.ok) throw new AssessmentBankError([`could not load ${source}: HTTP ${res.status}`]);
+        return res.json().catch(() => {
+          throw new AssessmentBankError([`${source} is not valid JSON`]);
+        });
+      }, err => {
+        throw new AssessmentBankError([`could not load ${source}: ${err.message}`]);
+      });
+  }
+
+  /** Hints may be plain strings or {text, rubricId?, zoneId?}. */
+  static hintText(h) {
+    return typeof h === 'string' ? h : (h && h.text) || '';
+  }
+
+  /**
+   * Check a bank's structure and cross-references. Returns a list of
+   * human-readable problems (empty when the bank is valid), each prefixed
+   * with the path of the offending field.
+   */
+  static validate(bank, zonesFor) {
+    const errors = [];
+    const err = (path, msg) => errors.push(`${path}: ${msg}`);
+    const isStr = v => typeof v === 'string' && v.length > 0;
+
+    if (!bank || typeof bank !== 'object') return ['bank: expected an object'];
+    if (bank.schemaVersion != null && bank.schemaVersion !== AssessmentBank.SCHEMA_VERSION) {
+      err('schemaVersion', `unsupported version ${bank.schemaVersion} (expected ${AssessmentBank.SCHEMA_VERSION})`);
+    }
+
+    // Rubric
+    const rubricIds = new Set();
+    if (!Array.isArray(bank.rubric) || bank.rubric.length === 0) {
+      err('rubric', 'expected a non-empty array');
+    } else {
+      bank.rubric.forEach((r, i) => {
+        const p = `rubric[${i}]`;
+        if (!isStr(r.id)) err(`${p}.id`, 'missing');
+        else if (rubricIds.has(r.id)) err(`${p}.id`, `duplicate id "${r.id}"`);
+        else rubricIds.add(r.id);
+        if (!isStr(r.category)) err(`${p}.category`, 'missing');
+        if (!isStr(r.shortName)) err(`${p}.shortName`, 'missing');
+      });
+    }
+
+    // Challenges
+    if (!Array.isArray(bank.challenges) || bank.challenges.length === 0) {
+      err('challenges', 'expected a non-empty array');
+      return errors;
+    }
+
+    const checkRubric = (path, id) => {
+      if (!isStr(id)) err(path, 'missing');
+      else if (!rubricIds.has(id)) err(path, `unknown rubric item "${id}"`);
+    };
+
+    bank.challenges.forEach((ch, ci) => {
+      const p = `challenges[${ci}]`;
+      if (!ch || typeof ch !== 'object') { err(p, 'expected an object'); return; }
+      if (!isStr(ch.title)) err(`${p}.title`, 'missing');
+      if (ch.difficulty != null && !['easy', 'medium', 'hard'].includes(ch.difficulty)) {
+        err(`${p}.difficulty`, `"${ch.difficulty}" is not easy, medium or hard`);
+      }
+      if (ch.type != null && ch.type !== 'tutorial') err(`${p}.type`, `unknown type "${ch.type}"`);
+      if (ch.matchMode != null && !['exact', 'parent', 'any'].includes(ch.matchMode)) {
+        err(`${p}.matchMode`, `"${ch.matchMode}" is not exact, parent or any`);
+      }
+      if (ch.points != null && !(typeof ch.points === 'number' && ch.points >= 0)) {
+        err(`${p}.points`, 'expected a non-negative number');
+      }
+      if (ch.distractor != null && typeof ch.distractor !== 'boolean') err(`${p}.distractor`, 'expected true or false');
+
+      let zones = [];
+      try {
+        zones = zonesFor(ch) || [];
+      } catch (e) {
+        err(p, `computeZones failed: ${e.message}`);
+      }
+      const zoneById = new Map(zones.map(z => [z.id, z]));
+      const known = () => [...zoneById.keys()].join(', ');
+      const checkZone = (path, id, rubricId) => {
+        const ids = Array.isArray(id) ? id : [id];
+        if (ids.length === 0 || !ids.every(isStr)) { err(path, 'missing'); return; }
+        for (const zid of ids) {
+          const z = zoneById.get(zid);
+          if (!z) err(path, `unknown zone "${zid}" (known: ${known()})`);
+          else if (rubricId && z.rubricIds && !z.rubricIds.includes(rubricId)) {
+            err(path, `rubric item "${rubricId}" cannot be picked in zone "${zid}"`);
+          }
+        }
+      };
+
+      if (!Array.isArray(ch.answerKey)) {
+        err(`${p}.answerKey`, 'expected an array');
+      } else {
+        ch.answerKey.forEach((k, ki) => {
+          const kp = `${p}.answerKey[${ki}]`;
+          checkRubric(`${kp}.rubricId`, k.rubricId);
+          checkZone(`${kp}.zoneId`, k.zoneId, rubricIds.has(k.rubricId) ? k.rubricId : null);
+          if (!isStr(k.explanation)) err(`${kp}.explanation`, 'missing');
+          if (k.weight != null && !(typeof k.weight === 'number' && k.weight >= 0)) {
+            err(`${kp}.weight`, 'expected a non-negative number');
+          }
+        });
+      }
+
+      if (!Array.isArray(ch.hints)) {
+        err(`${p}.hints`, 'expected an array');
+      } else {
+        ch.hints.forEach((h, hi) => {
+          const hp = `${p}.hints[${hi}]`;
+          if (!isStr(AssessmentBank.hintText(h))) { err(hp, 'expected text'); return; }
+          if (typeof h === 'object') {
+            if (h.rubricId != null) checkRubric(`${hp}.rubricId`, h.rubricId);
+            if (h.zoneId != null) checkZone(`${hp}.zoneId`, h.zoneId, null);
+          }
+        });
+      }
+
+      if (ch.type === 'tutorial') {
+        if (!Array.isArray(ch.tutorialSteps) || ch.tutorialSteps.length === 0) {
+          err(`${p}.tutorialSteps`, 'a tutorial needs at least one step');
+        } else {
+          ch.tutorialSteps.forEach((st, si) => {
+            const sp = `${p}.tutorialSteps[${si}]`;
+            if (!isStr(st.label)) err(`${sp}.label`, 'missing');
+            if (!isStr(st.text)) err(`${sp}.text`, 'missing');
+            if (!st.domTarget) checkZone(`${sp}.zoneId`, st.zoneId, null);
+          });
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /** Bank object for export: schema header plus rubric and challenges. */
+  static serialize(bank) {
+    return JSON.stringify({
+      schemaVersion: AssessmentBank.SCHEMA_VERSION,
+      id: bank.id,
+      title: bank.title,
+      rubric: bank.rubric,
+      challenges: bank.challenges
+    }, null, 2);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) module.exports = { AssessmentBank, AssessmentBankError };
@@ -0,0 +1,277 @@
+/**
+ * AssessmentCore — the DOM-free half of AssessmentEngine: per-challenge
+ * findings, hints and review state, answer matching, scoring and the
+ * session snapshot. It never touches the page, a canvas or storage, so
+ * the same grading runs in the browser (where AssessmentEngine wraps it)
+ * and in Node (batch regrading, replaying recorded sessions, tests).
+ *
+ * Every method takes the challenge index explicitly; "current challenge"
+ * is the engine's concern. Zones only matter for the 'parent' match mode,
+ * so they are asked for lazily through `zonesFor(idx)`.
+ *
+ * Usage (browser: load assessment-scoring.js first):
+ *   const core = new AssessmentCore({ challenges, scoring, matchMode });
+ *   core.addFinding(0, 'x-axis-label', 'x-axis', 120, 300);
+ *   const { review, score } = core.check(0);
+ *   core.score();          // {points, maxPoints, percent, challenges}
+ *   core.restore(saved);   // a snapshot() or an engine's saved session
+ *
+ * Usage (Node):
+ *   const { AssessmentCore } = require('./demos/_shared/assessment-core.js');
+ *
+ * Options:
+ *   challenges  [{title, answerKey:[{rubricId, zoneId, weight?}], hints, matchMode?, type?, points?}]
+ *   scoring     AssessmentScorer options
+ *   matchMode   'exact' (default) | 'parent' | 'any'
+ *   zonesFor    fn(idx) => [{id, parent?}]; needed for 'parent' matching
+ */
+
+/* eslint-disable no-unused-vars */
+class AssessmentCore {
+  constructor(opts) {
+    const o = opts || {};
+    const Scorer = typeof AssessmentScorer !== 'undefined'
+      ? AssessmentScorer
+      : require('./assessment-scoring.js').AssessmentScorer;
+    this.challenges = o.challenges || [];
+    this.scorer = new Scorer(o.scoring);
+    this.matchMode = o.matchMode || 'exact';
+    this.zonesFor = o.zonesFor || (() => []);
+    this.reset();
+  }
+
+  /** Forget every finding, hint and check. */
+  reset() {
+    this._states = {};          // idx -> {findings:[{id, rubricId, zoneId, x, y, timestamp}], hintsRevealed, reviewMode, timeMs, checkedAt}
+    this._completed = new Set(); // indices that have been checked
+    this._findingId = 0;
+  }
+
+  stateFor(idx) {
+    if (!this._states[idx]) {
+      this._states[idx] = { findings: [], hintsRevealed: 0, reviewMode: false, timeMs: 0, checkedAt: null };
+    }
+    return this._states[idx];
+  }
+
+  /** Start one challenge over (findings, hints and its check). */
+  resetChallenge(idx) {
+    delete this._states[idx];
+    this._completed.delete(idx);
+  }
+
+  /* ── findings and hints ────────────────────────────── */
+
+  // details: optional {justification, confidence}. x/y are null for
+  // findings in element zones.
+  addFinding(idx, rubricId, zoneId, x, y, details) {
+    const finding = { id: ++this._findingId, rubricId, zoneId, x, y, timestamp: new Date().toISOString() };
+    if (details) this._setDetails(finding, details);
+    this.stateFor(idx).findings.push(finding);
+    return finding;
+  }
+
+  /** Returns the removed finding, or null if there was none with that id. */
+  removeFinding(idx, id) {
+    const st = this.stateFor(idx);
+    const removed = st.findings.find(f => f.id === id) || null;
+    st.findings = st.findings.filter(f => f.id !== id);
+    return removed;
+  }
+
+  /** Returns the removed findings. */
+  clearFindings(idx) {
+    const st = this.stateFor(idx);
+    const removed = st.findings;
+    st.findings = [];
+    return removed;
+  }
+
+  /** Change a finding's justification and/or confidence; null if not found. */
+  updateFinding(idx, id, details) {
+    const finding = this.stateFor(idx).findings.find(f => f.id === id);
+    if (!finding) return null;
+    this._setDetails(finding, details);
+    return finding;
+  }
+
+  _setDetails(finding, details) {
+    if (details.justification !== undefined) finding.justification = String(details.justification || '').trim();
+    if (details.confidence !== undefined) {
+      const c = Number(details.confidence);
+      finding.confidence = c >= 1 && c <= 3 ? Math.round(c) : null;
+    }
+  }
+
+  /** Reveal the next hint; returns its index, or -1 when none are left. */
+  revealHint(idx) {
+    const st = this.stateFor(idx);
+    if (st.hintsRevealed >= this.challenges[idx].hints.length) return -1;
+    return st.hintsRevealed++;
+  }
+
+  /* ── checking ──────────────────────────────────────── */
+
+  /**
+   * Check a challenge's answers: it enters review mode and counts as
+   * completed. Returns {review, score, firstCheck, finished}, where
+   * finished means every critique has now been checked.
+   */
+  check(idx) {
+    const firstCheck = !this._completed.has(idx);
+    const st = this.stateFor(idx);
+    st.checkedAt = new Date().toISOString();
+    st.reviewMode = true;
+    this._completed.add(idx);
+    const review = this.review(idx);
+    const score = this.scorer.scoreChallenge(this.challenges[idx], review, st.hintsRevealed);
+    return { review, score, firstCheck, finished: this.isFinished() };
+  }
+
+  // Count a challenge as checked without showing its review (exam
+  // submission); an earlier checkedAt is kept.
+  markChecked(idx, at) {
+    const st = this.stateFor(idx);
+    if (!st.checkedAt) st.checkedAt = at || new Date().toISOString();
+    this._completed.add(idx);
+  }
+
+  isChecked(idx) { return this._completed.has(idx); }
+
+  /** True once every critique (tutorials aside) has been checked. */
+  isFinished() {
+    return this.challenges.every((ch, i) => ch.type === 'tutorial' || this._completed.has(i));
+  }
+
+  /* ── answer matching ───────────────────────────────── */
+
+  // Pair findings with answer-key entries. Exact zone matches are claimed
+  // first so a loose match never steals the entry an exact finding needs.
+  // Returns {correct:[{finding, key}], incorrect:[finding], missed:[key]}.
+  review(idx) {
+    const ch = this.challenges[idx];
+    const key = ch.answerKey;
+    const findings = this.stateFor(idx).findings;
+    const mode = ch.matchMode || this.matchMode;
+    const zones = mode === 'parent' ? this.zonesFor(idx) : [];
+    const matched = new Set();     // answer-key entries already claimed
+    const pairs = new Map();       // finding -> key entry
+
+    const passes = mode === 'exact' ? ['exact'] : ['exact', mode];
+    for (const pass of passes) {
+      for (const f of findings) {
+        if (pairs.has(f)) continue;
+        const match = key.find(k => !matched.has(k) && k.rubricId === f.rubricId &&
+          this._zoneMatches(f.zoneId, k.zoneId, pass, zones));
+        if (match) {
+          matched.add(match);
+          pairs.set(f, match);
+        }
+      }
+    }
+
+    const correct = [], incorrect = [];
+    for (const f of findings) {
+      if (pairs.has(f)) correct.push({ finding: f, key: pairs.get(f) });
+      else incorrect.push(f);
+    }
+    const missed = key.filter(k => !matched.has(k));
+    return { correct, incorrect, missed };
+  }
+
+  _zoneMatches(findingZoneId, keyZoneId, mode, zones) {
+    if (mode === 'any') return true;
+    const accepted = Array.isArray(keyZoneId) ? keyZoneId : [keyZoneId];
+    if (accepted.includes(findingZoneId)) return true;
+    if (mode !== 'parent') return false;
+    return accepted.some(k => this._isAncestor(k, findingZoneId, zones) || this._isAncestor(findingZoneId, k, zones));
+  }
+
+  // True if zone `ancestorId` encloses zone `id` through its parent chain.
+  _isAncestor(ancestorId, id, zones) {
+    const seen = new Set();
+    let z = zones.find(zz => zz.id === id);
+    while (z && z.parent && !seen.has(z.id)) {
+      if (z.parent === ancestorId) return true;
+      seen.add(z.id);
+      z = zones.find(zz => zz.id === z.parent);
+    }
+    return false;
+  }
+
+  /* ── results ───────────────────────────────────────── */
+
+  /** One row per challenge: status, counts and (once checked) score. */
+  summary() {
+    return this.challenges.map((ch, i) => {
+      const st = this.stateFor(i);
+      const base = { title: ch.title, type: ch.type || 'critique', hintsRevealed: st.hintsRevealed, findings: st.findings.length };
+      if (!this._completed.has(i)) return { ...base, status: 'skipped' };
+      const review = this.review(i);
+      return {
+        ...base,
+        status: 'completed',
+        correct: review.correct.length,
+        incorrect: review.incorrect.length,
+        missed: review.missed.length,
+        total: ch.answerKey.length,
+        score: this.scorer.scoreChallenge(ch, review, st.hintsRevealed)
+      };
+    });
+  }
+
+  /** Points per checked challenge plus the session total (tutorials excluded). */
+  score() {
+    const summary = this.summary();
+    const entries = this.challenges
+      .map((ch, i) => ({ challenge: ch, score: summary[i].score || null }))
+      .filter(({ challenge }) => challenge.type !== 'tutorial');
+    return { ...this.scorer.total(entries), challenges: entries.map(e => e.score) };
+  }
+
+  /**
+   * Confidence vs correctness over every checked finding that has a
+   * confidence rating: {levels: [{confidence, correct, incorrect}],
+   * confidentWrong, unsureRight, rated}.
+   */
+  calibration() {
+    const levels = [1, 2, 3].map(confidence => ({ confidence, correct: 0, incorrect: 0 }));
+    this.challenges.forEach((ch, i) => {
+      if (ch.type === 'tutorial' || !this._completed.has(i)) return;
+      const review = this.review(i);
+      for (const { finding } of review.correct) if (finding.confidence) levels[finding.confidence - 1].correct++;
+      for (const finding of review.incorrect) if (finding.confidence) levels[finding.confidence - 1].incorrect++;
+    });
+    return {
+      levels,
+      confidentWrong: levels[2].incorrect,
+      unsureRight: levels[0].correct,
+      rated: levels.reduce((n, l) => n + l.correct + l.incorrect, 0)
+    };
+  }
+
+  /* ── snapshot ──────────────────────────────────────── */
+
+  /** Plain-JSON copy of the state: {completed, findingId, states}. */
+  snapshot() {
+    return {
+      completed: [...this._completed],
+      findingId: this._findingId,
+      states: JSON.parse(JSON.stringify(this._states))
+    };
+  }
+
+  // Load a snapshot (or the same fields of a saved engine session);
+  // state for challenges past the end of the bank is dropped.
+  restore(data) {
+    const n = this.challenges.length;
+    this.reset();
+    for (const [idx, st] of Object.entries(data.states || {})) {
+      if (Number(idx) < n) this._states[idx] = st;
+    }
+    this._completed = new Set((data.completed || []).filter(i => i < n));
+    this._findingId = data.findingId || 0;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) module.exports = { AssessmentCore };
@@ -6,45 +6,183 @@
  * Content-agnostic: the host page supplies a rubric, challenge bank,
  * and callbacks for rendering + layout.
  *
+ * Findings, hints and review state are kept per challenge index and the
+ * whole session is saved to localStorage (one key per challenge bank),
+ * so navigating back or reloading the page restores earlier work.
+ *
+ * The state itself, answer matching and scoring live in an AssessmentCore
+ * (assessment-core.js, engine.core), which has no DOM and also runs in
+ * Node; the engine is its UI. Checked challenges are scored by the core's
+ * AssessmentScorer; pass `scoring` options to configure it. Load
+ * assessment-bank.js, assessment-scoring.js, assessment-core.js and
+ * assessment-export.js before this file.
+ * Time on task is counted per challenge while it is open, unchecked and
+ * the page is visible.
+ *
+ * The rubric and challenges come either from `rubric` + `challenges` or
+ * from `bank`: a bank object or the URL of a bank JSON file (schema in
+ * assessment-bank.js). Either way the bank is validated in start(); on
+ * problems the left panel lists them and start() resolves to false.
+ *
  * Usage:
  *   const engine = new AssessmentEngine({
- *     canvas, rubric, challenges,
+ *     canvas, rubric, challenges,  // or: bank: 'bank.json' | {rubric, challenges, id}
+ *     bankId,                      // optional; names the localStorage key
+ *     extraZones: [{id, rubricIds, el?}],  // optional; zones every challenge shares
+ *     scoring: { hintPenalty: 0.1 },  // optional; see AssessmentScorer
  *     renderContent(ctx, w, h, challenge),
- *     computeZones(w, h, challenge) => [{id, rect:{x,y,w,h}, rubricIds}],
+ *     computeZones(w, h, challenge) => [{id, rect:{x,y,w,h}, rubricIds, parent?}],
+ *     matchMode: 'exact',          // optional; 'exact' | 'parent' | 'any'
+ *     askJustification, askConfidence,  // optional; see "Justifications" below
+ *     xapi: { actor, endpoint },   // optional; see AssessmentExporter
+ *     exam: { seed, timeLimitSec, challengeTimeSec, ... },  // optional; see below
  *     containerEl, leftPanelEl, rightPanelEl, centerControlsEl
  *   });
  *   engine.start();
+ *
+ * A zone's shape is one of:
+ *   rect:   {x, y, w, h}
+ *   poly:   [{x, y}, ...]          (e.g. a single data trace)
+ *   circle: {x, y, r}              (e.g. an outlier)
+ *   el:     an HTML element outside the canvas (a caption, a table cell,
+ *           a code line), optionally narrowed to a run of its text with
+ *           `text: 'substring'` or `range: {start, end}` (character offsets)
+ * When zones overlap, the smallest one under the pointer wins. `parent`
+ * names an enclosing zone and is used by the 'parent' match mode.
+ *
+ * Element zones behave like canvas zones: they are hoverable, clickable
+ * and focusable (Enter opens the picker, Delete removes the last flag),
+ * findings show as markers right after the element, missed issues are
+ * outlined in review, and tutorial steps naming them spotlight them. They
+ * are bound after onChallengeLoad, so the host can fill in the element's
+ * content there first. The host page styles them through the ae-dom-*
+ * classes.
+ *
+ * Answer matching: a finding matches an answer-key entry with the same
+ * rubricId whose zone agrees under the match mode (a challenge's own
+ * `matchMode` overrides the engine's):
+ *   exact   finding zone === key zone
+ *   parent  ... or one zone is an ancestor of the other
+ *   any     zone is ignored
+ * A key entry's zoneId may be an array of acceptable zones, and the same
+ * rubricId may appear several times; each entry matches one finding.
+ *
+ * Keyboard / screen reader: the canvas is focusable. Tab, Shift+Tab and
+ * the arrow keys step through zones (a zone's optional `label` names it),
+ * Enter or Space opens the issue picker (arrows, Home/End, Escape), and
+ * Delete removes the newest finding in the focused zone. Changes and
+ * review results are announced through an ARIA live region.
+ *
+ * Justifications: with askJustification / askConfidence the picker asks,
+ * after an item is picked, for a short reason and/or a confidence rating
+ * (1 guessing, 2 fairly sure, 3 certain). Both are stored on the finding
+ * ({justification, confidence}), can be edited in the findings list, are
+ * shown next to the key's explanation in review, and feed the calibration
+ * chart in the summary (getCalibration()).
+ *
+ * Events: engine.on(name, fn) subscribes (and returns an unsubscribe
+ * function); engine.use(plugin) calls plugin(engine) so analytics or
+ * custom UI can be packaged as plugins. Each listener gets one object:
+ *   challengeChanged  {challengeIndex, previousIndex, challenge}
+ *   findingAdded      {finding, challengeIndex}
+ *   findingRemoved    {finding, challengeIndex}   (also per finding on Clear All)
+ *   findingUpdated    {finding, challengeIndex}   (justification / confidence edited)
+ *   hintRevealed      {hint, hintIndex, challengeIndex}
+ *   answersChecked    {challengeIndex, review, score}
+ *   tutorialStep      {step, stepIndex, challengeIndex}
+ *   sessionFinished   {summary, score}   (when the last critique is checked)
+ *   sessionReset      {}
+ *   examSubmitted     {submittedAt, reason}   ('student' | 'timeout')
+ *   challengeTimeUp   {challengeIndex}
+ *   feedbackReleased  {submitted}
+ * Zones the host draws outside the canvas (extraZones) open the picker
+ * through engine.openPicker(zoneId, {x, y, clientX, clientY}).
+ *
+ * All panel text, including bank titles, hints and explanations, is set
+ * as text (never parsed as HTML).
+ *
+ * Exam mode (`exam` option): hints are off, there is no per-challenge
+ * "Check Answers" (one "Submit Exam" on the last figure checks everything),
+ * tutorials are dropped and the challenge order is shuffled from
+ * `exam.seed` (e.g. the student's id), so each student gets a fixed,
+ * different order. Options:
+ *   seed              string; also names the saved session
+ *   shuffle           false keeps the bank order (default true)
+ *   distractors       how many `distractor: true` challenges to draw in (default 0)
+ *   timeLimitSec      whole-exam countdown; submits when it runs out
+ *   challengeTimeSec  per-figure countdown; locks the figure when it runs out
+ *   feedbackReleased  show review feedback right after submitting (default false);
+ *                     otherwise call engine.releaseFeedback() to show it
+ * While feedback is withheld the summary shows no scores and offers no
+ * exports or "Send to LRS" (attempt records include the answer key).
+ *
+ * Export: getAttemptRecord() returns every challenge's findings (with
+ * coordinates, timestamps and review outcome), hints, time on task and
+ * score; exportAttempts('json' | 'csv' | 'xapi') serialises it through an
+ * AssessmentExporter (assessment-export.js) and the summary overlay offers
+ * the same as downloads.
  */
 
 /* eslint-disable no-unused-vars */
 class AssessmentEngine {
+  static get CONFIDENCE_LABELS() { return ['Guessing', 'Fairly sure', 'Certain']; }
+
   constructor(cfg) {
     this.canvas = cfg.canvas;
     this.ctx = this.canvas.getContext('2d');
-    this.rubric = cfg.rubric;                 // [{id, category, shortName, description}]
-    this.challenges = cfg.challenges;         // [{title, difficulty, answerKey:[{rubricId, zoneId, explanation}], hints:[str], ...extra}]
+    this.extraZones = cfg.extraZones || [];   // virtual zones host pages open the picker for
     this.renderContent = cfg.renderContent;   // fn(ctx, W, H, challenge)
     this.computeZones = cfg.computeZones;     // fn(W, H, challenge) => zones[]
     this.onChallengeLoad = cfg.onChallengeLoad || (() => {});
+    // Findings, checks, matching and scoring; the engine is its UI
+    this.core = new AssessmentCore({
+      scoring: cfg.scoring,
+      matchMode: cfg.matchMode,
+      zonesFor: idx => this._zonesFor(idx)
+    });
+    this.askJustification = !!cfg.askJustification;  // picker asks "why?" after an item is picked
+    this.askConfidence = !!cfg.askConfidence;        // ... and how sure (1-3)
 
     // DOM containers the engine populates
     this.leftPanel = cfg.leftPanelEl;
     this.rightPanel = cfg.rightPanelEl;
     this.centerControls = cfg.centerControlsEl;
 
-    // State
+    // Session persistence (set persist: false to disable)
+    this.persist = cfg.persist !== false;
+    this._cfgBankId = cfg.bankId;
+    this._bankSource = cfg.bank || null;
+    this._useBank(this._bankSource && typeof this._bankSource === 'object'
+      ? this._bankSource
+      : { rubric: cfg.rubric, challenges: cfg.challenges });
+
+    // Attempt export (JSON / CSV / xAPI)
+    this.xapi = cfg.xapi || {};
+    this.exporter = new AssessmentExporter({ actor: this.xapi.actor, activityBase: this.xapi.activityBase });
+
+    // State — findings/hintsRevealed/reviewMode are accessors onto the
+    // core's state for currentIndex, so every challenge keeps its own work.
     this.currentIndex = 0;
-    this.findings = [];        // [{id, rubricId, zoneId, x, y}]
-    this.hintsRevealed = 0;
-    this.reviewMode = false;
+    this._enteredAt = null;    // wall-clock start of the current time-on-task interval
     this.zones = [];
     this.hoveredZone = null;
-    this._findingId = 0;
     this._pickerOpen = false;
-    this._completed = new Set(); // indices the student has checked
     this._tutorialStep = 0;
     this._tutorialVisited = new Set();
     this.onTutorialStep = cfg.onTutorialStep || null;
+    this.focusedZone = null;     // zone selected from the keyboard
+    this._pickerFromKeyboard = false;
+    this._pickerStep = null;     // 'details' while asking for a justification
+    this._domTargets = new Map(); // element-zone id -> [elements] (range spans for text zones)
+    this._domAbort = null;        // AbortController for element-zone listeners
+    this.author = null;          // AssessmentAuthor, if the host enabled authoring
+    this._listeners = {};        // event name -> [fn]
+
+    // Exam mode (see header); this._exam holds its runtime state
+    this.exam = cfg.exam || null;
+    this._exam = null;           // {seed, order, startedAt, submittedAt, released}
+    this._examTimer = null;
+    this._timerEl = null;
 
     // Category colours used for annotations
     this._catColors = {
@@ -54,86 +192,777 @@ class AssessmentEngine {
       Text: '#60d080'
     };
 
+    this._initA11y();
     this._bind();
   }
 
+  /* ── per-challenge state accessors ──────────────────── */
+
+  _stateFor(idx) { return this.core.stateFor(idx); }
+
+  // Challenges and scoring live in the core; these keep the engine's
+  // long-standing fields working for hosts and AssessmentAuthor.
+  get challenges() { return this.core.challenges; }
+  set challenges(v) { this.core.challenges = v; }
+  get scorer() { return this.core.scorer; }
+  get matchMode() { return this.core.matchMode; }
+  set matchMode(v) { this.core.matchMode = v; }
+
+  get findings() { return this._stateFor(this.currentIndex).findings; }
+  set findings(v) { this._stateFor(this.currentIndex).findings = v; }
+  get hintsRevealed() { return this._stateFor(this.currentIndex).hintsRevealed; }
+  set hintsRevealed(v) { this._stateFor(this.currentIndex).hintsRevealed = v; }
+  get reviewMode() { return this._stateFor(this.currentIndex).reviewMode; }
+  set reviewMode(v) { this._stateFor(this.currentIndex).reviewMode = v; }
+
+  /* ── events + plugins ───────────────────────────────── */
+
+  /** Subscribe to an engine event (see header); returns an unsubscribe function. */
+  on(event, fn) {
+    (this._listeners[event] = this._listeners[event] || []).push(fn);
+    return () => this.off(event, fn);
+  }
+
+  off(event, fn) {
+    const list = this._listeners[event];
+    if (list) this._listeners[event] = list.filter(f => f !== fn);
+  }
+
+  /** Install a plugin: a function called with the engine. */
+  use(plugin) {
+    plugin(this);
+    return this;
+  }
+
+  // A failing listener is logged, never allowed to break the assessment.
+  _emit(event, detail) {
+    for (const fn of (this._listeners[event] || []).slice()) {
+      try {
+        fn(detail);
+      } catch (e) {
+        console.error(`AssessmentEngine: "${event}" listener failed`, e);
+      }
+    }
+  }
+
   /* ── public API ─────────────────────────────────────── */
 
+  /**
+   * Load (if given a URL) and validate the bank, then show the first
+   * challenge — or the one a saved session was on. Resolves to true once
+   * a challenge is shown, false if the bank could not be used or the first
+   * challenge failed to load (the left panel then says why).
+   */
   start() {
     this._resizeCanvas();
     window.addEventListener('resize', () => this._resizeCanvas());
-    this.loadChallenge(0);
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) { this._accumulateTime(); this._enteredAt = null; this._saveSession(); }
+      else this._enteredAt = Date.now();
+    });
+
+    const ready = typeof this._bankSource === 'string'
+      ? AssessmentBank.load(this._bankSource).then(bank => this._useBank(bank))
+      : Promise.resolve();
+    return ready.then(() => {
+      const errors = this.validateBank();
+      if (errors.length) throw new AssessmentBankError(errors);
+      if (this.exam) this._applyExam();
+      const resumed = this._restoreSession();
+      if (this._exam) this._resumeExam();
+      this.loadChallenge(resumed ? this.currentIndex : 0);
+      return true;
+    }).catch(e => {
+      console.error(e);
+      if (e instanceof AssessmentBankError) this._showBankErrors(e.errors);
+      else this._showStartError(e);
+      return false;
+    });
+  }
+
+  /** Problems with the current rubric/challenges (empty if valid). */
+  validateBank() {
+    return AssessmentBank.validate({ rubric: this.rubric, challenges: this.challenges }, ch => this._validationZones(ch));
+  }
+
+  /** The current bank as an object in the documented schema. */
+  getBank() {
+    return { id: this.bankId, title: this.bankTitle, rubric: this.rubric, challenges: this.challenges };
   }
 
   loadChallenge(idx) {
+    this._accumulateTime();
+    const previousIndex = this.currentIndex;
     this.currentIndex = idx;
-    this.findings = [];
-    this.hintsRevealed = 0;
-    this.reviewMode = false;
+    this._enteredAt = Date.now();
     this._tutorialStep = 0;
     this._tutorialVisited = new Set();
     this._closePicker();
+    this.focusedZone = null;
+    this._unbindDomZones();
 
     const ch = this.challenges[idx];
     this._resizeCanvas();
     this.zones = this.computeZones(this.canvas.clientWidth, this.canvas.clientHeight, ch);
+    this._updateCanvasLabel();
     this.renderContent(this.ctx, this.canvas.clientWidth, this.canvas.clientHeight, ch);
     this.onChallengeLoad(ch, idx);
+    this._bindDomZones();
 
-    if (ch.type === 'tutorial') {
+    if (this._authoring()) {
+      this.author.render();
+    } else if (ch.type === 'tutorial') {
       this._renderTutorial();
-      return;
+    } else {
+      this._saveSession();
+      this._renderLeft();
+      this._renderRight();
+      this._renderCenterControls();
+      this._drawOverlay();
     }
+    this._emit('challengeChanged', { challengeIndex: idx, previousIndex, challenge: ch });
+  }
 
-    this._renderLeft();
+  // details: optional {justification, confidence}
+  addFinding(rubricId, zoneId, x, y, details) {
+    const finding = this.core.addFinding(this.currentIndex, rubricId, zoneId, x, y, details);
+    this._announce(`Flagged ${this._rubricName(rubricId)} in ${this._zoneLabel(zoneId)}.`);
+    this._saveSession();
     this._renderRight();
-    this._renderCenterControls();
     this._drawOverlay();
+    this._emit('findingAdded', { finding, challengeIndex: this.currentIndex });
   }
 
-  addFinding(rubricId, zoneId, x, y) {
-    const id = ++this._findingId;
-    this.findings.push({ id, rubricId, zoneId, x, y });
+  removeFinding(id) {
+    const removed = this.core.removeFinding(this.currentIndex, id);
+    if (removed) this._announce(`Removed ${this._rubricName(removed.rubricId)} from ${this._zoneLabel(removed.zoneId)}.`);
+    this._saveSession();
     this._renderRight();
     this._drawOverlay();
+    if (removed) this._emit('findingRemoved', { finding: removed, challengeIndex: this.currentIndex });
   }
 
-  removeFinding(id) {
-    this.findings = this.findings.filter(f => f.id !== id);
+  /** Change a finding's justification and/or confidence. */
+  updateFinding(id, details) {
+    if (!this._interactive()) return;
+    const finding = this.core.updateFinding(this.currentIndex, id, details);
+    if (!finding) return;
+    this._saveSession();
+    this._drawOverlay();
+    this._emit('findingUpdated', { finding, challengeIndex: this.currentIndex });
+  }
+
+  clearFindings() {
+    const removed = this.core.clearFindings(this.currentIndex);
+    this._saveSession();
     this._renderRight();
     this._drawOverlay();
+    for (const finding of removed) this._emit('findingRemoved', { finding, challengeIndex: this.currentIndex });
   }
 
   revealHint() {
     const ch = this.challenges[this.currentIndex];
-    if (this.hintsRevealed < ch.hints.length) {
-      this.hintsRevealed++;
+    if (this._exam) return;   // no hints in exams
+    const hintIndex = this.core.revealHint(this.currentIndex);
+    if (hintIndex >= 0) {
+      const hint = AssessmentBank.hintText(ch.hints[hintIndex]);
+      this._announce(`Hint ${hintIndex + 1}: ${hint}`);
+      this._saveSession();
       this._renderLeft();
+      this._emit('hintRevealed', { hint, hintIndex, challengeIndex: this.currentIndex });
     }
   }
 
+  // In exam mode answers are only checked by submitExam().
   checkAnswers() {
-    this.reviewMode = true;
-    this._completed.add(this.currentIndex);
+    if (this._exam) return;
+    const idx = this.currentIndex;
+    this._accumulateTime();
+    const { review, score, firstCheck, finished } = this.core.check(idx);
+    this._saveSession();
     this._closePicker();
+    this._announceReview();
     this._renderLeft();
     this._renderRight();
     this._renderCenterControls();
     this._drawOverlay();
+
+    this._emit('answersChecked', { challengeIndex: idx, review, score });
+    // Finished = every critique checked; fires when the last one is.
+    if (firstCheck && finished) {
+      this._emit('sessionFinished', { summary: this.getSummary(), score: this.getScore() });
+    }
+  }
+
+  /**
+   * Open the issue picker for a zone as if it had been clicked — e.g. for
+   * zones the host draws itself (see `extraZones`). opts: {x, y} marker position
+   * on the canvas, {clientX, clientY} picker position, fromKeyboard (focus
+   * returns to the opener). Returns false if findings can't be added now.
+   */
+  openPicker(zoneId, opts) {
+    const o = opts || {};
+    const zone = this.zones.find(z => z.id === zoneId) || this.extraZones.find(z => z.id === zoneId);
+    if (!zone || !this._interactive()) return false;
+    if (zone.el) {
+      const r = this._domTargets.get(zone.id)[0].getBoundingClientRect();
+      this._openPicker(zone, null, null, o.clientX != null ? o.clientX : r.left + 24, o.clientY != null ? o.clientY : r.top + 12, o.fromKeyboard);
+      return true;
+    }
+    const r = this._rect();
+    const x = o.x != null ? o.x : r.width / 2, y = o.y != null ? o.y : r.height / 2;
+    const clientX = o.clientX != null ? o.clientX : r.left + x;
+    const clientY = o.clientY != null ? o.clientY : r.top + y;
+    this._openPicker(zone, x, y, clientX, clientY, o.fromKeyboard);
+    return true;
+  }
+
+  /**
+   * End the exam: every critique is marked checked at once (reason is
+   * 'student' or 'timeout'). Feedback stays hidden unless it has been
+   * released.
+   */
+  submitExam(reason) {
+    if (!this._exam || this._exam.submittedAt) return;
+    this._closePicker();
+    this._accumulateTime();
+    const now = new Date().toISOString();
+    this.challenges.forEach((ch, i) => {
+      if (ch.type !== 'tutorial') this.core.markChecked(i, now);
+    });
+    this._exam.submittedAt = now;
+    this._stopExamTimer();
+    this._applyRelease();
+    this._saveSession();
+    this._announce(reason === 'timeout' ? 'Time is up. Your exam has been submitted.' : 'Exam submitted.');
+    this._emit('examSubmitted', { submittedAt: now, reason: reason || 'student' });
+    this._emit('sessionFinished', { summary: this.getSummary(), score: this.getScore() });
+    this.loadChallenge(this.currentIndex);
+    this._showSummary();
+  }
+
+  /** Show review feedback for a (possibly already submitted) exam. */
+  releaseFeedback() {
+    if (!this._exam || this._exam.released) return;
+    this._exam.released = true;
+    this._applyRelease();
+    this._saveSession();
+    this._emit('feedbackReleased', { submitted: !!this._exam.submittedAt });
+    if (this._exam.submittedAt) this.loadChallenge(this.currentIndex);
+  }
+
+  getSummary() { return this.core.summary(); }
+
+  /** Points per checked challenge plus the session total (tutorials excluded). */
+  getScore() { return this.core.score(); }
+
+  /**
+   * Confidence vs correctness over every checked finding that has a
+   * confidence rating: {levels: [{confidence, correct, incorrect}],
+   * confidentWrong, unsureRight, rated}.
+   */
+  getCalibration() { return this.core.calibration(); }
+
+  /** Structured record of every challenge attempt, for export. */
+  getAttemptRecord() {
+    this._accumulateTime();
+    const summary = this.getSummary();
+    const total = this.getScore();
+    return {
+      bankId: this.bankId,
+      exportedAt: new Date().toISOString(),
+      student: this.xapi.actor || null,
+      score: { points: total.points, maxPoints: total.maxPoints, percent: total.percent },
+      exam: this._exam ? { ...this._exam } : null,
+      challenges: this.challenges.map((ch, i) => {
+        const st = this._stateFor(i);
+        const review = this.core.isChecked(i) ? this.core.review(i) : null;
+        const outcome = f => {
+          if (!review) return 'unchecked';
+          return review.correct.some(c => c.finding === f) ? 'correct' : 'incorrect';
+        };
+        return {
+          index: i,
+          bankIndex: this._exam ? this._exam.order[i] : i,   // exams reorder challenges
+          title: ch.title,
+          type: ch.type || 'critique',
+          difficulty: ch.difficulty,
+          status: summary[i].status,
+          hintsRevealed: st.hintsRevealed,
+          timeOnTaskMs: Math.round(st.timeMs || 0),
+          checkedAt: st.checkedAt || null,
+          score: summary[i].score || null,
+          findings: st.findings.map(f => ({
+            rubricId: f.rubricId, zoneId: f.zoneId, x: f.x, y: f.y,
+            timestamp: f.timestamp || null, outcome: outcome(f),
+            justification: f.justification || '', confidence: f.confidence || null
+          })),
+          missed: review ? review.missed.map(k => ({ rubricId: k.rubricId, zoneId: k.zoneId })) : []
+        };
+      })
+    };
+  }
+
+  /** Serialise the attempt record: format is 'json', 'csv' or 'xapi'. */
+  exportAttempts(format) {
+    const record = this.getAttemptRecord();
+    if (format === 'csv') return this.exporter.toCSV(record);
+    if (format === 'xapi') return JSON.stringify(this.exporter.toStatements(record), null, 2);
+    return this.exporter.toJSON(record);
+  }
+
+  downloadAttempts(format) {
+    const ext = format === 'csv' ? 'csv' : 'json';
+    const mime = format === 'csv' ? 'text/csv' : 'application/json';
+    const suffix = format === 'xapi' ? '-xapi' : '';
+    const stamp = new Date().toISOString().slice(0, 10);
+    this.exporter.download(`${this.bankId}-attempts${suffix}-${stamp}.${ext}`, this.exportAttempts(format), mime);
+  }
+
+  /** POST the session as xAPI statements to `xapi.endpoint`. */
+  sendAttempts() {
+    if (!this.xapi.endpoint) return Promise.reject(new Error('No xAPI endpoint configured'));
+    return this.exporter.sendStatements(this.getAttemptRecord(), this.xapi.endpoint, this.xapi.auth);
+  }
+
+  /** Forget all saved work for this challenge bank and start over. */
+  resetSession() {
+    this.core.reset();
+    this._clearSession();
+    if (this._exam) {
+      this._stopExamTimer();
+      Object.assign(this._exam, { startedAt: null, submittedAt: null });
+      this._warnedMinute = false;
+      this._resumeExam();
+    }
+    this.loadChallenge(0);
+    this._emit('sessionReset', {});
+  }
+
+  /* ── answer matching ───────────────────────────────── */
+
+  // {correct:[{finding, key}], incorrect:[finding], missed:[key]}; see AssessmentCore.review().
+  _reviewChallenge(idx) { return this.core.review(idx); }
+
+  // Zones for 'parent' matching: the live layout for the open challenge,
+  // otherwise laid out afresh.
+  _zonesFor(idx) {
+    const zones = idx === this.currentIndex
+      ? this.zones
+      : this.computeZones(this.canvas.clientWidth, this.canvas.clientHeight, this.challenges[idx]);
+    return [...zones, ...this.extraZones];
   }
 
-  getSummary() {
-    return this.challenges.map((ch, i) => {
-      if (!this._completed.has(i)) return { title: ch.title, status: 'skipped' };
-      // Reconstruct: we don't store per-challenge findings after nav,
-      // so summary just shows completed/skipped.
-      return { title: ch.title, status: 'completed' };
+  /* ── bank loading ──────────────────────────────────── */
+
+  _useBank(bank) {
+    this.rubric = bank.rubric || [];
+    this.challenges = bank.challenges || [];
+    this.bankTitle = bank.title || '';
+    this.bankId = this._cfgBankId || bank.id || this._bankHash();
+    this.storageKey = 'ae-session:' + this.bankId;
+  }
+
+  // Zones a challenge offers, laid out at the canvas size (or a nominal
+  // one while the canvas is hidden) plus the host's extra zones.
+  _validationZones(ch) {
+    const W = this.canvas.clientWidth || 800, H = this.canvas.clientHeight || 450;
+    return [...this.computeZones(W, H, ch), ...this.extraZones];
+  }
+
+  _showBankErrors(errors) {
+    this.leftPanel.replaceChildren(this._section('Challenge Bank Errors', [
+      this._el('ul', { className: 'ae-bank-errors' }, errors.map(msg => this._el('li', { text: msg })))
+    ]));
+    this.rightPanel.replaceChildren();
+    this.centerControls.replaceChildren();
+  }
+
+  // Any other failure in start(), e.g. a saved session that no longer fits
+  // the bank. Clearing the session is usually the way out.
+  _showStartError(err) {
+    const reset = () => { this._clearSession(); location.reload(); };
+    this.leftPanel.replaceChildren(this._section('Could Not Start', [
+      this._el('ul', { className: 'ae-bank-errors' }, [this._el('li', { text: (err && err.message) || String(err) })]),
+      ...(this.persist ? [this._el('button', { className: 'ae-btn', text: 'Clear Saved Progress and Reload', on: { click: reset } })] : []),
+    ]));
+    this.rightPanel.replaceChildren();
+    this.centerControls.replaceChildren();
+  }
+
+  /* ── session persistence ───────────────────────────── */
+
+  // Fallback storage key when the host page gives no bankId: a short hash
+  // of the challenge titles, so different banks never share a session.
+  _bankHash() {
+    return this._hash((this.challenges || []).map(ch => ch.title).join('|')).toString(36);
+  }
+
+  _hash(str) {
+    let h = 0;
+    for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) | 0;
+    return h >>> 0;
+  }
+
+  // Fold the running interval into the current challenge's time on task.
+  // Review time (and time on a locked exam challenge) is not counted.
+  _accumulateTime() {
+    if (this._enteredAt == null) return;
+    const now = Date.now();
+    const st = this._stateFor(this.currentIndex);
+    if (!st.reviewMode && !this._examLocked(this.currentIndex)) st.timeMs = (st.timeMs || 0) + (now - this._enteredAt);
+    this._enteredAt = now;
+  }
+
+  _saveSession() {
+    if (!this.persist) return;
+    this._accumulateTime();
+    const data = {
+      version: 1,
+      currentIndex: this.currentIndex,
+      ...this.core.snapshot(),
+      exam: this._exam
+    };
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(data));
+    } catch (e) {
+      // Storage can be unavailable (private mode, file:// in some browsers) — keep working in memory.
+    }
+  }
+
+  _restoreSession() {
+    if (!this.persist) return false;
+    let data;
+    try {
+      data = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (e) {
+      return false;
+    }
+    if (!data || data.version !== 1) return false;
+    const n = this.challenges.length;
+    this.core.restore(data);
+    this.currentIndex = Math.min(Math.max(data.currentIndex || 0, 0), n - 1);
+    if (this._exam && data.exam && data.exam.seed === this._exam.seed) {
+      this._exam.startedAt = data.exam.startedAt;
+      this._exam.submittedAt = data.exam.submittedAt || null;
+      this._exam.released = this._exam.released || !!data.exam.released;
+    }
+    return true;
+  }
+
+  _clearSession() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  /* ── element (DOM) zones ───────────────────────────── */
+
+  _bindDomZones() {
+    this._domAbort = new AbortController();
+    const signal = this._domAbort.signal;
+    const tutorial = this.challenges[this.currentIndex].type === 'tutorial';
+    for (const zone of this.zones.concat(this.extraZones)) {
+      if (!zone.el) continue;
+      const targets = this._domZoneTargets(zone);
+      this._domTargets.set(zone.id, targets);
+      if (tutorial) continue;   // only spotlit, never flagged
+      const setHover = on => targets.forEach(t => t.classList.toggle('ae-dom-hover', on && this._interactive()));
+      targets.forEach((t, i) => {
+        t.classList.add('ae-dom-zone');
+        t.addEventListener('mouseenter', () => setHover(true), { signal });
+        t.addEventListener('mouseleave', () => setHover(false), { signal });
+        t.addEventListener('click', e => {
+          if (e.target.closest('.ae-dom-marker') || !this._interactive()) return;
+          this.openPicker(zone.id, { clientX: e.clientX, clientY: e.clientY });
+        }, { signal });
+        if (i > 0) return;
+        // The first element (or text run) is the keyboard stop for the zone
+        t.tabIndex = 0;
+        t.setAttribute('role', 'button');
+        t.setAttribute('aria-roledescription', 'figure region');
+        t.title = `${this._zoneLabel(zone.id)}: click or press Enter to flag an issue`;
+        t.addEventListener('keydown', e => this._onDomZoneKey(e, zone), { signal });
+      });
+    }
+  }
+
+  _unbindDomZones() {
+    if (this._domAbort) this._domAbort.abort();
+    this._domAbort = null;
+    this._clearDomMarks();
+    for (const targets of this._domTargets.values()) {
+      for (const t of targets) {
+        if (t.classList.contains('ae-dom-range')) {
+          const parent = t.parentNode;
+          t.replaceWith(...t.childNodes);
+          if (parent) parent.normalize();
+          continue;
+        }
+        t.classList.remove('ae-dom-zone', 'ae-dom-hover', 'ae-dom-spotlight');
+        t.removeAttribute('tabindex');
+        t.removeAttribute('role');
+        t.removeAttribute('aria-roledescription');
+        t.removeAttribute('title');
+      }
+    }
+    this._domTargets.clear();
+  }
+
+  // The element itself, or spans wrapped around the zone's run of text.
+  _domZoneTargets(zone) {
+    let start, end;
+    if (zone.range) {
+      ({ start, end } = zone.range);
+    } else if (zone.text) {
+      start = zone.el.textContent.indexOf(zone.text);
+      if (start < 0) {
+        console.warn(`AssessmentEngine: zone "${zone.id}" text not found; using the whole element`);
+        return [zone.el];
+      }
+      end = start + zone.text.length;
+    } else {
+      return [zone.el];
+    }
+    const spans = this._wrapText(zone.el, start, end);
+    return spans.length ? spans : [zone.el];
+  }
+
+  // Wrap characters [start, end) of el's text in spans (one per text node).
+  _wrapText(el, start, end) {
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    const spans = [];
+    let pos = 0;
+    for (let node of nodes) {
+      const len = node.data.length;
+      const s = Math.max(start - pos, 0), e = Math.min(end - pos, len);
+      pos += len;
+      if (s >= e) continue;
+      if (e < len) node.splitText(e);
+      if (s > 0) node = node.splitText(s);
+      const span = document.createElement('span');
+      span.className = 'ae-dom-range';
+      node.parentNode.insertBefore(span, node);
+      span.appendChild(node);
+      spans.push(span);
+    }
+    return spans;
+  }
+
+  _onDomZoneKey(e, zone) {
+    if (!this._interactive() || this._pickerOpen) return;
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      this._openPickerForZone(zone);
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && !this._authoring()) {
+      e.preventDefault();
+      const inZone = this.findings.filter(f => f.zoneId === zone.id);
+      if (inZone.length) this.removeFinding(inZone[inZone.length - 1].id);
+      else this._announce(`No flags in ${this._zoneLabel(zone.id)}.`);
+    }
+  }
+
+  _clearDomMarks() {
+    document.querySelectorAll('.ae-dom-marker').forEach(m => m.remove());
+    for (const targets of this._domTargets.values()) {
+      targets.forEach(t => t.classList.remove('ae-dom-missed'));
+    }
+  }
+
+  // Marker badge placed right after the zone's element / text run.
+  _domMarker(zoneId, color, symbol, title, onClick) {
+    const targets = this._domTargets.get(zoneId);
+    if (!targets) return;
+    const marker = this._el('span', {
+      className: 'ae-dom-marker', style: `background:${color}`, text: symbol || '',
+      title, 'aria-hidden': 'true', on: onClick ? { click: onClick } : null
+    });
+    const last = targets[targets.length - 1];
+    if (last === this._domZoneEl(zoneId)) last.appendChild(marker);
+    else last.after(marker);
+  }
+
+  _domZoneEl(zoneId) {
+    const z = this.zones.find(zz => zz.id === zoneId) || this.extraZones.find(zz => zz.id === zoneId);
+    return z && z.el;
+  }
+
+  // Element-zone counterpart of the canvas markers and missed outlines
+  // (authoring draws its own).
+  _drawDomOverlay() {
+    if (this._domTargets.size === 0 || this._authoring()) return;
+    const ch = this.challenges[this.currentIndex];
+    if (ch.type === 'tutorial') return;
+    if (!this.reviewMode) {
+      for (const f of this.findings) {
+        if (!this._domTargets.has(f.zoneId)) continue;
+        this._domMarker(f.zoneId, this._rubricColor(f.rubricId), '', this._rubricName(f.rubricId),
+          () => { if (this._interactive()) this.removeFinding(f.id); });
+      }
+      return;
+    }
+    const review = this._reviewChallenge(this.currentIndex);
+    for (const { finding: f } of review.correct) {
+      if (this._domTargets.has(f.zoneId)) this._domMarker(f.zoneId, '#50c878', '\u2713', this._rubricName(f.rubricId));
+    }
+    for (const f of review.incorrect) {
+      if (this._domTargets.has(f.zoneId)) this._domMarker(f.zoneId, '#f06060', '\u2717', this._rubricName(f.rubricId));
+    }
+    for (const k of review.missed) {
+      const ids = Array.isArray(k.zoneId) ? k.zoneId : [k.zoneId];
+      const id = ids.find(zid => this._domTargets.has(zid));
+      // Only when no canvas zone in the list takes the outline
+      if (id && !this.zones.some(z => !z.el && ids.includes(z.id))) {
+        this._domTargets.get(id).forEach(t => t.classList.add('ae-dom-missed'));
+      }
+    }
+  }
+
+  _spotlightDom(zoneId) {
+    for (const [id, targets] of this._domTargets) {
+      targets.forEach(t => t.classList.toggle('ae-dom-spotlight', id === zoneId));
+    }
+  }
+
+  /* ── exam mode ─────────────────────────────────────── */
+
+  // Pick and order the exam's challenges from the seed: tutorials are
+  // dropped, `distractor: true` challenges are drawn `exam.distractors`
+  // at a time, and the rest are shuffled unless `exam.shuffle` is false.
+  // Each seed gets its own saved session.
+  _applyExam() {
+    const seed = String(this.exam.seed != null ? this.exam.seed : '');
+    const rand = this._seededRandom(seed);
+    const ids = this.challenges.map((ch, i) => i).filter(i => this.challenges[i].type !== 'tutorial');
+    const core = ids.filter(i => !this.challenges[i].distractor);
+    const extra = this._shuffle(ids.filter(i => this.challenges[i].distractor), rand).slice(0, this.exam.distractors || 0);
+    let order = core.concat(extra);
+    if (this.exam.shuffle !== false) order = this._shuffle(order, rand);
+
+    this._exam = { seed, order, startedAt: null, submittedAt: null, released: !!this.exam.feedbackReleased };
+    this.challenges = order.map(i => this.challenges[i]);
+    this.storageKey = `ae-session:${this.bankId}:exam:${seed}`;
+  }
+
+  _resumeExam() {
+    if (!this._exam.startedAt) this._exam.startedAt = new Date().toISOString();
+    this._applyRelease();
+    if (!this._exam.submittedAt && (this.exam.timeLimitSec || this.exam.challengeTimeSec)) {
+      this._examTimer = setInterval(() => this._tickExam(), 1000);
+    }
+  }
+
+  _stopExamTimer() {
+    clearInterval(this._examTimer);
+    this._examTimer = null;
+  }
+
+  _applyRelease() {
+    if (!this._exam.submittedAt || !this._exam.released) return;
+    this.challenges.forEach((ch, i) => {
+      if (ch.type !== 'tutorial') this._stateFor(i).reviewMode = true;
     });
   }
 
+  // Findings are frozen once the exam is submitted or a challenge's own
+  // countdown has run out.
+  _examLocked(idx) {
+    if (!this._exam) return false;
+    return !!this._exam.submittedAt || !!this._stateFor(idx).timeUp;
+  }
+
+  // ms left on the whole-exam countdown (Infinity without one)
+  _examRemaining() {
+    if (!this.exam.timeLimitSec) return Infinity;
+    return Date.parse(this._exam.startedAt) + this.exam.timeLimitSec * 1000 - Date.now();
+  }
+
+  // ms left on the current challenge's countdown (Infinity without one)
+  _challengeRemaining() {
+    if (!this.exam.challengeTimeSec) return Infinity;
+    return this.exam.challengeTimeSec * 1000 - (this._stateFor(this.currentIndex).timeMs || 0);
+  }
+
+  _tickExam() {
+    if (this._exam.submittedAt) { this._stopExamTimer(); return; }
+
+    const left = this._examRemaining();
+    if (left <= 0) { this.submitExam('timeout'); return; }
+    if (left <= 60000 && !this._warnedMinute) {
+      this._warnedMinute = true;
+      this._announce('One minute left in the exam.');
+    }
+
+    if (this.exam.challengeTimeSec && !document.hidden) {
+      this._accumulateTime();
+      const idx = this.currentIndex;
+      const st = this._stateFor(idx);
+      if (!st.timeUp && this._challengeRemaining() <= 0) {
+        st.timeUp = true;
+        this._closePicker();
+        this._saveSession();
+        this._emit('challengeTimeUp', { challengeIndex: idx });
+        // Move on to the next challenge that still has time, if any
+        const n = this.challenges.length;
+        let next = -1;
+        for (let k = 1; k < n && next < 0; k++) {
+          const j = (idx + k) % n;
+          if (!this._stateFor(j).timeUp) next = j;
+        }
+        if (next < 0) { this.submitExam('timeout'); return; }
+        this._announce('Time is up for this challenge.');
+        this.loadChallenge(next);
+        return;
+      }
+    }
+    this._updateTimer();
+  }
+
+  _updateTimer() {
+    if (!this._timerEl) return;
+    const parts = [];
+    const total = this._examRemaining(), own = this._challengeRemaining();
+    if (total !== Infinity) parts.push(`Exam ${this._clock(total)}`);
+    if (own !== Infinity && !this._stateFor(this.currentIndex).timeUp) parts.push(`This figure ${this._clock(own)}`);
+    this._timerEl.textContent = parts.join(' \u00b7 ');
+    this._timerEl.classList.toggle('ae-timer-low', Math.min(total, own) <= 60000);
+  }
+
+  _clock(ms) {
+    const sec = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+  }
+
+  // Deterministic PRNG (mulberry32) seeded from a string
+  _seededRandom(seed) {
+    let a = this._hash(seed) || 1;
+    return () => {
+      a = (a + 0x6D2B79F5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  _shuffle(arr, rand) {
+    const a = arr.slice();
+    for (let i = a.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [a[i], a[j]] = [a[j], a[i]];
+    }
+    return a;
+  }
+
   /* ── canvas interaction ─────────────────────────────── */
 
   _bind() {
+    this.canvas.addEventListener('keydown', e => this._onCanvasKey(e));
+    this.canvas.addEventListener('focus', () => this._drawOverlay());
+    this.canvas.addEventListener('blur', () => { if (!this._pickerOpen) this._drawOverlay(); });
     this.canvas.addEventListener('mousemove', e => this._onMouseMove(e));
     this.canvas.addEventListener('mouseleave', () => { this.hoveredZone = null; this._drawOverlay(); });
     this.canvas.addEventListener('click', e => this._onCanvasClick(e));
@@ -147,9 +976,18 @@ class AssessmentEngine {
 
   _rect() { return this.canvas.getBoundingClientRect(); }
 
+  _authoring() { return !!(this.author && this.author.active); }
+
+  // Whether canvas zones respond to hover/click/keys right now. Authors
+  // can edit any critique's key, even one the student already checked.
+  _interactive() {
+    if (this.challenges[this.currentIndex].type === 'tutorial') return false;
+    if (this._authoring()) return true;
+    return !this.reviewMode && !this._examLocked(this.currentIndex);
+  }
+
   _onMouseMove(e) {
-    if (this.reviewMode || this._pickerOpen) return;
-    if (this.challenges[this.currentIndex].type === 'tutorial') return;
+    if (!this._interactive() || this._pickerOpen) return;
     const r = this._rect();
     const x = e.clientX - r.left, y = e.clientY - r.top;
     const zone = this._hitTest(x, y);
@@ -161,13 +999,12 @@ class AssessmentEngine {
   }
 
   _onCanvasClick(e) {
-    if (this.reviewMode) return;
-    if (this.challenges[this.currentIndex].type === 'tutorial') return;
+    if (!this._interactive()) return;
     const r = this._rect();
     const x = e.clientX - r.left, y = e.clientY - r.top;
 
     // Did we click an existing annotation?
-    const ann = this._hitAnnotation(x, y);
+    const ann = this._authoring() ? null : this._hitAnnotation(x, y);
     if (ann) { this.removeFinding(ann.id); return; }
 
     const zone = this._hitTest(x, y);
@@ -178,19 +1015,210 @@ class AssessmentEngine {
   _hitTest(x, y) {
     let best = null, bestArea = Infinity;
     for (const z of this.zones) {
-      const rr = z.rect;
-      if (x >= rr.x && x <= rr.x + rr.w && y >= rr.y && y <= rr.y + rr.h) {
-        const area = rr.w * rr.h;
+      if (this._zoneContains(z, x, y)) {
+        const area = this._zoneArea(z);
         if (area < bestArea) { best = z; bestArea = area; }
       }
     }
     return best;
   }
 
+  /* ── keyboard + screen reader ──────────────────────── */
+
+  _initA11y() {
+    this.canvas.tabIndex = 0;
+    this.canvas.setAttribute('role', 'application');
+    this.canvas.setAttribute('aria-roledescription', 'figure critique');
+
+    // Visually hidden live region for announcements
+    this._liveEl = document.createElement('div');
+    this._liveEl.className = 'ae-live';
+    this._liveEl.setAttribute('role', 'status');
+    this._liveEl.setAttribute('aria-live', 'polite');
+    Object.assign(this._liveEl.style, {
+      position: 'absolute', width: '1px', height: '1px', overflow: 'hidden',
+      clip: 'rect(0 0 0 0)', whiteSpace: 'nowrap', margin: '-1px'
+    });
+    document.body.appendChild(this._liveEl);
+  }
+
+  _announce(msg) {
+    // Clear first so repeating the same message is still read out
+    this._liveEl.textContent = '';
+    setTimeout(() => { this._liveEl.textContent = msg; }, 50);
+  }
+
+  _announceReview() {
+    const ch = this.challenges[this.currentIndex];
+    const { correct, incorrect, missed } = this._reviewChallenge(this.currentIndex);
+    const score = this.scorer.scoreChallenge(ch, { correct, incorrect, missed }, this.hintsRevealed);
+    let msg = `Answers checked. ${correct.length} of ${ch.answerKey.length} issues found`;
+    if (incorrect.length) msg += `, ${incorrect.length} incorrect`;
+    if (missed.length) msg += `. Missed: ${missed.map(k => this._rubricName(k.rubricId)).join(', ')}`;
+    msg += `. Score ${score.points} of ${score.maxPoints}.`;
+    this._announce(msg);
+  }
+
+  _updateCanvasLabel() {
+    const ch = this.challenges[this.currentIndex];
+    const label = ch.type === 'tutorial'
+      ? `Tutorial figure: ${ch.title}.`
+      : `Figure: ${ch.title}. Use Tab or the arrow keys to move between regions, Enter to flag an issue, Delete to remove the last flag in a region.`;
+    this.canvas.setAttribute('aria-label', label);
+  }
+
+  // Re-rendering a panel drops keyboard focus; put it back
+  // on the element with the same id (or the panel's first button).
+  _keepFocus(container, render) {
+    const active = document.activeElement;
+    const had = active && container.contains(active);
+    const id = had ? active.id : null;
+    render();
+    if (!had) return;
+    const target = (id && document.getElementById(id)) || container.querySelector('button:not(:disabled)');
+    if (target && !target.disabled) target.focus({ preventScroll: true });
+  }
+
+  _zoneLabel(zoneId) {
+    if (Array.isArray(zoneId)) return zoneId.map(id => this._zoneLabel(id)).join(' or ');
+    const z = this.zones.find(zz => zz.id === zoneId) || this.extraZones.find(zz => zz.id === zoneId);
+    if (z && z.label) return z.label;
+    return String(zoneId).replace(/-/g, ' ');
+  }
+
+  _rubricName(rubricId) {
+    const item = this.rubric.find(r => r.id === rubricId);
+    return item ? item.shortName : rubricId;
+  }
+
+  // Element zones take focus themselves, so the canvas steps through the rest.
+  _canvasZones() { return this.zones.filter(z => !z.el); }
+
+  _onCanvasKey(e) {
+    const zones = this._canvasZones();
+    if (!this._interactive() || this._pickerOpen || zones.length === 0) return;
+    const n = zones.length;
+    const cur = this.focusedZone ? zones.indexOf(this.focusedZone) : -1;
+    let next = null;
+
+    switch (e.key) {
+      case 'Tab':
+        // Leave the canvas after the last (or before the first) zone
+        if (e.shiftKey ? cur <= 0 : cur >= n - 1) { this.focusedZone = null; this._drawOverlay(); return; }
+        next = e.shiftKey ? cur - 1 : cur + 1;
+        break;
+      case 'ArrowRight': case 'ArrowDown':
+        next = (cur + 1) % n;
+        break;
+      case 'ArrowLeft': case 'ArrowUp':
+        next = cur <= 0 ? n - 1 : cur - 1;
+        break;
+      case 'Home': next = 0; break;
+      case 'End': next = n - 1; break;
+      case 'Enter': case ' ':
+        if (!this.focusedZone) return;
+        e.preventDefault();
+        this._openPickerForZone(this.focusedZone);
+        return;
+      case 'Delete': case 'Backspace': {
+        if (!this.focusedZone || this._authoring()) return;
+        e.preventDefault();
+        const inZone = this.findings.filter(f => f.zoneId === this.focusedZone.id);
+        if (inZone.length) this.removeFinding(inZone[inZone.length - 1].id);
+        else this._announce(`No flags in ${this._zoneLabel(this.focusedZone.id)}.`);
+        return;
+      }
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    this.focusedZone = zones[next];
+    this._drawOverlay();
+    const z = this.focusedZone;
+    const count = this.findings.filter(f => f.zoneId === z.id).length;
+    this._announce(`${this._zoneLabel(z.id)}, region ${next + 1} of ${n}` +
+      (count ? `, ${count} flag${count === 1 ? '' : 's'}.` : '.'));
+  }
+
+  // Open the picker from the keyboard: markers go near the zone centre,
+  // offset so several findings in one zone don't overlap.
+  _openPickerForZone(zone) {
+    if (zone.el) { this.openPicker(zone.id, { fromKeyboard: true }); return; }
+    const b = this._zoneBounds(zone);
+    const k = this.findings.filter(f => f.zoneId === zone.id).length;
+    const cx = Math.min(b.x + b.w / 2 + k * 22, b.x + b.w - 10);
+    const cy = b.y + b.h / 2;
+    const r = this._rect();
+    this._openPicker(zone, cx, cy, r.left + cx, r.top + cy, true);
+  }
+
+  /* ── zone geometry (rect / poly / circle) ──────────── */
+
+  _zoneBounds(z) {
+    if (z.rect) return z.rect;
+    if (z.circle) return { x: z.circle.x - z.circle.r, y: z.circle.y - z.circle.r, w: 2 * z.circle.r, h: 2 * z.circle.r };
+    const xs = z.poly.map(p => p.x), ys = z.poly.map(p => p.y);
+    const x = Math.min(...xs), y = Math.min(...ys);
+    return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+  }
+
+  _zoneContains(z, x, y) {
+    if (z.rect) {
+      const rr = z.rect;
+      return x >= rr.x && x <= rr.x + rr.w && y >= rr.y && y <= rr.y + rr.h;
+    }
+    if (z.circle) {
+      return Math.hypot(x - z.circle.x, y - z.circle.y) <= z.circle.r;
+    }
+    if (z.poly) {
+      // Even-odd ray casting
+      let inside = false;
+      const p = z.poly;
+      for (let i = 0, j = p.length - 1; i < p.length; j = i++) {
+        if ((p[i].y > y) !== (p[j].y > y) &&
+            x < (p[j].x - p[i].x) * (y - p[i].y) / (p[j].y - p[i].y) + p[i].x) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    }
+    return false;
+  }
+
+  _zoneArea(z) {
+    if (z.rect) return z.rect.w * z.rect.h;
+    if (z.circle) return Math.PI * z.circle.r * z.circle.r;
+    if (z.poly) {
+      let a = 0;
+      const p = z.poly;
+      for (let i = 0, j = p.length - 1; i < p.length; j = i++) a += (p[j].x + p[i].x) * (p[j].y - p[i].y);
+      return Math.abs(a / 2);
+    }
+    return Infinity;
+  }
+
+  // Add the zone outline to the current path, shrunk by `inset` px where
+  // the shape allows it (rects and circles).
+  _traceZone(ctx, z, inset) {
+    const d = inset || 0;
+    if (z.rect) {
+      const rr = z.rect;
+      ctx.rect(rr.x + d, rr.y + d, rr.w - 2 * d, rr.h - 2 * d);
+    } else if (z.circle) {
+      ctx.moveTo(z.circle.x + z.circle.r - d, z.circle.y);
+      ctx.arc(z.circle.x, z.circle.y, Math.max(z.circle.r - d, 1), 0, Math.PI * 2);
+    } else if (z.poly && z.poly.length > 0) {
+      ctx.moveTo(z.poly[0].x, z.poly[0].y);
+      for (let i = 1; i < z.poly.length; i++) ctx.lineTo(z.poly[i].x, z.poly[i].y);
+      ctx.closePath();
+    }
+  }
+
   _hitAnnotation(x, y) {
     const R = 10;
     for (const f of this.findings) {
-      if (Math.hypot(f.x - x, f.y - y) < R) return f;
+      if (f.x != null && Math.hypot(f.x - x, f.y - y) < R) return f;
     }
     return null;
   }
@@ -198,6 +1226,7 @@ class AssessmentEngine {
   /* ── overlay drawing (hover highlights + annotations) ── */
 
   _drawOverlay() {
+    this._clearDomMarks();
     // Redraw content first
     const W = this.canvas.clientWidth, H = this.canvas.clientHeight;
     this.renderContent(this.ctx, W, H, this.challenges[this.currentIndex]);
@@ -205,58 +1234,75 @@ class AssessmentEngine {
     const ctx = this.ctx;
 
     // Hover highlight
-    if (this.hoveredZone && !this.reviewMode) {
-      const rr = this.hoveredZone.rect;
+    if (this.hoveredZone && this._interactive()) {
       ctx.save();
+      ctx.beginPath();
+      this._traceZone(ctx, this.hoveredZone);
       ctx.strokeStyle = 'rgba(88,166,255,0.6)';
       ctx.lineWidth = 2;
       ctx.setLineDash([6, 3]);
-      ctx.strokeRect(rr.x, rr.y, rr.w, rr.h);
+      ctx.stroke();
       ctx.fillStyle = 'rgba(88,166,255,0.07)';
-      ctx.fillRect(rr.x, rr.y, rr.w, rr.h);
+      ctx.fill();
       ctx.setLineDash([]);
       ctx.restore();
     }
 
+    // Keyboard focus outline (solid, so it reads differently from hover)
+    const hasFocus = document.activeElement === this.canvas || this._pickerOpen;
+    if (this.focusedZone && hasFocus && this._interactive()) {
+      ctx.save();
+      ctx.beginPath();
+      this._traceZone(ctx, this.focusedZone, 1);
+      ctx.strokeStyle = '#f0c040';
+      ctx.lineWidth = 3;
+      ctx.stroke();
+      ctx.fillStyle = 'rgba(240,192,64,0.08)';
+      ctx.fill();
+      ctx.restore();
+    }
+
     // Annotation markers
-    if (!this.reviewMode) {
+    if (this._authoring()) {
+      this.author.drawOverlay(ctx);
+    } else if (!this.reviewMode) {
       for (const f of this.findings) {
-        this._drawMarker(ctx, f.x, f.y, this._rubricColor(f.rubricId), false);
+        if (f.x != null) this._drawMarker(ctx, f.x, f.y, this._rubricColor(f.rubricId), false);
       }
     } else {
       this._drawReviewOverlay(ctx, W, H);
     }
+    this._drawDomOverlay();
   }
 
   _drawReviewOverlay(ctx, W, H) {
-    const ch = this.challenges[this.currentIndex];
-    const key = ch.answerKey;
-    const matched = new Set();
-    const falsePositives = [];
+    const review = this._reviewChallenge(this.currentIndex);
 
-    // Match findings to answer key
-    for (const f of this.findings) {
-      const match = key.find(k => k.rubricId === f.rubricId && !matched.has(k.rubricId));
-      if (match) {
-        matched.add(match.rubricId);
-        this._drawMarker(ctx, f.x, f.y, '#50c878', true, '\u2713');
-      } else {
-        falsePositives.push(f);
-        this._drawMarker(ctx, f.x, f.y, '#f06060', true, '\u2717');
-      }
+    for (const { finding: f } of review.correct) {
+      if (f.x != null) this._drawMarker(ctx, f.x, f.y, '#50c878', true, '\u2713');
+    }
+    for (const f of review.incorrect) {
+      if (f.x != null) this._drawMarker(ctx, f.x, f.y, '#f06060', true, '\u2717');
     }
 
     // Missed issues — pulsing zone outlines
-    for (const k of key) {
-      if (matched.has(k.rubricId)) continue;
-      const zone = this.zones.find(z => z.id === k.zoneId);
-      if (!zone) continue;
-      const rr = zone.rect;
+    for (const k of review.missed) {
+      const ids = Array.isArray(k.zoneId) ? k.zoneId : [k.zoneId];
+      const zone = this.zones.find(z => ids.includes(z.id));
+      if (!zone) {
+        if (!this.extraZones.some(z => ids.includes(z.id))) {
+          console.warn(`AssessmentEngine: answer key for "${k.rubricId}" names unknown zone ${ids.join('/')}`);
+        }
+        continue;
+      }
+      if (zone.el) continue;   // outlined by _drawDomOverlay
       ctx.save();
+      ctx.beginPath();
+      this._traceZone(ctx, zone, 2);
       ctx.strokeStyle = 'rgba(240,160,80,0.7)';
       ctx.lineWidth = 2.5;
       ctx.setLineDash([8, 4]);
-      ctx.strokeRect(rr.x + 2, rr.y + 2, rr.w - 4, rr.h - 4);
+      ctx.stroke();
       ctx.setLineDash([]);
       ctx.restore();
     }
@@ -290,20 +1336,27 @@ class AssessmentEngine {
 
   /* ── issue picker (floating menu) ──────────────────── */
 
-  _openPicker(zone, cx, cy, clientX, clientY) {
+  _openPicker(zone, cx, cy, clientX, clientY, fromKeyboard) {
     this._closePicker();
     this._pickerOpen = true;
+    this._pickerFromKeyboard = !!fromKeyboard;
+    this._pickerOpener = fromKeyboard ? document.activeElement : null;
 
     const el = document.createElement('div');
     el.className = 'ae-picker';
+    el.setAttribute('role', 'menu');
+    el.setAttribute('aria-labelledby', 'ae-picker-heading');
 
     const heading = document.createElement('div');
     heading.className = 'ae-picker-heading';
+    heading.id = 'ae-picker-heading';
     heading.textContent = 'Select issue:';
     el.appendChild(heading);
 
-    // Already-used rubric ids in this zone
-    const usedInZone = new Set(this.findings.filter(f => f.zoneId === zone.id).map(f => f.rubricId));
+    // Already-used rubric ids in this zone (answer-key entries when authoring)
+    const authoring = this._authoring();
+    const used = authoring ? this.challenges[this.currentIndex].answerKey : this.findings;
+    const usedInZone = new Set(used.filter(f => f.zoneId === zone.id).map(f => f.rubricId));
 
     // Filter rubric items relevant to this zone
     const relevant = this.rubric.filter(r => zone.rubricIds.includes(r.id));
@@ -314,9 +1367,11 @@ class AssessmentEngine {
     for (const item of relevant) {
       const btn = document.createElement('button');
       btn.className = 'ae-picker-item';
+      btn.setAttribute('role', 'menuitem');
       if (usedInZone.has(item.id)) {
         btn.classList.add('ae-picker-used');
         btn.disabled = true;
+        btn.setAttribute('aria-label', `${item.shortName} (already flagged here)`);
       }
       const dot = document.createElement('span');
       dot.className = 'ae-picker-dot';
@@ -324,8 +1379,12 @@ class AssessmentEngine {
       btn.appendChild(dot);
       btn.appendChild(document.createTextNode(item.shortName));
       btn.addEventListener('click', () => {
-        this.addFinding(item.id, zone.id, cx, cy);
-        this._closePicker();
+        if (authoring) this.author.addKeyEntry(item.id, zone.id);
+        else if (this.askJustification || this.askConfidence) {
+          this._showPickerDetails(item, (details) => this.addFinding(item.id, zone.id, cx, cy, details), clientX, clientY);
+          return;
+        } else this.addFinding(item.id, zone.id, cx, cy);
+        this._closePicker(true);
       });
       el.appendChild(btn);
     }
@@ -333,12 +1392,24 @@ class AssessmentEngine {
     // Also offer "No issue here" to dismiss
     const noIssue = document.createElement('button');
     noIssue.className = 'ae-picker-item ae-picker-dismiss';
+    noIssue.setAttribute('role', 'menuitem');
     noIssue.textContent = 'No issue here';
-    noIssue.addEventListener('click', () => this._closePicker());
+    noIssue.addEventListener('click', () => this._closePicker(true));
     el.appendChild(noIssue);
 
-    // Position near click but within viewport
+    el.addEventListener('keydown', e => this._onPickerKey(e));
+
     document.body.appendChild(el);
+    this._placePicker(el, clientX, clientY);
+
+    this._pickerEl = el;
+    heading.textContent = `${this._zoneLabel(zone.id)}: select issue`;
+    const first = el.querySelector('.ae-picker-item:not(:disabled)');
+    if (first) first.focus({ preventScroll: true });
+  }
+
+  // Position near the click but within the viewport
+  _placePicker(el, clientX, clientY) {
     const pw = el.offsetWidth, ph = el.offsetHeight;
     const isMobile = window.innerWidth <= 600;
     if (isMobile) {
@@ -357,13 +1428,88 @@ class AssessmentEngine {
       el.style.left = left + 'px';
       el.style.top = top + 'px';
     }
+  }
 
-    this._pickerEl = el;
+  // Second picker step: ask why / how sure, then call done({justification, confidence}).
+  _showPickerDetails(item, done, clientX, clientY) {
+    const el = this._pickerEl;
+    this._pickerStep = 'details';
+    const heading = this._el('div', { className: 'ae-picker-heading', id: 'ae-picker-heading' }, [this._dot(this._catColors[item.category] || '#aaa'), ` ${item.shortName}`]);
+    const fields = [];
+    let reason = null;
+    if (this.askJustification) {
+      reason = this._el('textarea', {
+        className: 'ae-input ae-picker-reason', rows: 3, maxLength: 280,
+        placeholder: 'Why is this a problem here?', 'aria-label': 'Justification (optional)'
+      });
+      fields.push(reason);
+    }
+    let confidence = null;
+    if (this.askConfidence) {
+      const radios = AssessmentEngine.CONFIDENCE_LABELS.map((label, i) => this._el('label', { className: 'ae-confidence-opt' }, [
+        this._el('input', { type: 'radio', name: 'ae-confidence', value: i + 1 }), ` ${label}`
+      ]));
+      confidence = this._el('fieldset', { className: 'ae-confidence' }, [this._el('legend', { text: 'How sure are you?' }), ...radios]);
+      fields.push(confidence);
+    }
+    const submit = () => {
+      const checked = confidence && confidence.querySelector('input:checked');
+      done({
+        justification: reason ? reason.value : undefined,
+        confidence: checked ? Number(checked.value) : (confidence ? null : undefined)
+      });
+      this._closePicker(true);
+    };
+    const buttons = this._el('div', { className: 'ae-picker-actions' }, [
+      this._el('button', { className: 'ae-btn ae-btn-primary', text: 'Add Finding', on: { click: submit } }),
+      this._el('button', { className: 'ae-btn', text: 'Cancel', on: { click: () => this._closePicker(true) } })
+    ]);
+    // Ctrl/Cmd+Enter adds from anywhere in the form
+    el.addEventListener('keydown', e => { if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); submit(); } });
+    el.replaceChildren(heading, ...fields, buttons);
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-labelledby', 'ae-picker-heading');
+    this._placePicker(el, clientX, clientY);
+    (reason || el.querySelector('input') || buttons.firstChild).focus({ preventScroll: true });
   }
 
-  _closePicker() {
+  // restoreFocus: hand focus back to whatever opened the picker (the
+  // canvas, or a host element) if it was opened from the keyboard.
+  _closePicker(restoreFocus) {
     if (this._pickerEl) { this._pickerEl.remove(); this._pickerEl = null; }
     this._pickerOpen = false;
+    if (restoreFocus && this._pickerFromKeyboard) {
+      (this._pickerOpener || this.canvas).focus({ preventScroll: true });
+      this._drawOverlay();
+    }
+    this._pickerFromKeyboard = false;
+    this._pickerOpener = null;
+    this._pickerStep = null;
+  }
+
+  _onPickerKey(e) {
+    if (this._pickerStep === 'details') {
+      // A small form: Tab moves between fields, Escape cancels
+      if (e.key === 'Escape') { e.preventDefault(); this._closePicker(true); }
+      return;
+    }
+    const items = [...this._pickerEl.querySelectorAll('.ae-picker-item:not(:disabled)')];
+    const i = items.indexOf(document.activeElement);
+    let next = null;
+    switch (e.key) {
+      case 'ArrowDown': next = (i + 1) % items.length; break;
+      case 'ArrowUp': next = i <= 0 ? items.length - 1 : i - 1; break;
+      case 'Home': next = 0; break;
+      case 'End': next = items.length - 1; break;
+      case 'Escape': case 'Tab':
+        e.preventDefault();
+        this._closePicker(true);
+        return;
+      default:
+        return;
+    }
+    e.preventDefault();
+    items[next].focus();
   }
 
   /* ── canvas resize helper ──────────────────────────── */
@@ -377,182 +1523,275 @@ class AssessmentEngine {
     this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
   }
 
+  /* ── DOM building ──────────────────────────────────── */
+
+  // Panels are built from nodes rather than HTML strings so bank text
+  // (titles, hints, explanations) is always shown as text. `attrs` may
+  // include `text`, `on: {event: fn}` and any property or attribute name;
+  // string children become text nodes.
+  _el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    for (const [k, v] of Object.entries(attrs || {})) {
+      if (v == null || v === false) continue;
+      if (k === 'text') node.textContent = v;
+      else if (k === 'on') for (const [ev, fn] of Object.entries(v)) node.addEventListener(ev, fn);
+      else if (k in node && k !== 'list') node[k] = v;
+      else node.setAttribute(k, v);
+    }
+    for (const c of children || []) {
+      if (c == null || c === false) continue;
+      node.appendChild(typeof c === 'string' || typeof c === 'number' ? document.createTextNode(String(c)) : c);
+    }
+    return node;
+  }
+
+  // heading may be a string or an array of children
+  _section(heading, children) {
+    const h2 = this._el('h2', {}, Array.isArray(heading) ? heading : [heading]);
+    return this._el('div', { className: 'ae-section' }, [h2, ...children]);
+  }
+
+  _dot(color) {
+    return this._el('span', { className: 'ae-picker-dot', style: `background:${color}` });
+  }
+
   /* ── left panel (nav, hints, instructions) ─────────── */
 
   _renderLeft() {
     const ch = this.challenges[this.currentIndex];
     const total = this.challenges.length;
     const i = this.currentIndex;
-
-    let html = '';
+    const sections = [];
 
     // Challenge nav
-    html += '<div class="ae-section">';
-    html += '<h2>Challenge</h2>';
-    html += '<div class="ae-nav">';
-    html += `<button class="ae-nav-btn" id="ae-prev" ${i === 0 ? 'disabled' : ''}>&lsaquo;</button>`;
-    html += `<span class="ae-nav-label">${i + 1} / ${total}</span>`;
-    html += `<button class="ae-nav-btn" id="ae-next" ${i === total - 1 ? 'disabled' : ''}>&rsaquo;</button>`;
-    html += '</div>';
-    html += `<div class="ae-challenge-title">${ch.title}</div>`;
-    html += `<div class="ae-difficulty">Difficulty: ${this._stars(ch.difficulty)}</div>`;
-    html += '</div>';
-
-    // Hints
-    html += '<div class="ae-section">';
-    html += '<h2>Hints</h2>';
+    sections.push(this._section('Challenge', [
+      this._el('div', { className: 'ae-nav' }, [
+        this._el('button', {
+          className: 'ae-nav-btn', id: 'ae-prev', 'aria-label': 'Previous challenge', disabled: i === 0,
+          text: '\u2039', on: { click: () => this.loadChallenge(this.currentIndex - 1) }
+        }),
+        this._el('span', { className: 'ae-nav-label', 'aria-label': `Challenge ${i + 1} of ${total}`, text: `${i + 1} / ${total}` }),
+        this._el('button', {
+          className: 'ae-nav-btn', id: 'ae-next', 'aria-label': 'Next challenge', disabled: i === total - 1,
+          text: '\u203a', on: { click: () => this.loadChallenge(this.currentIndex + 1) }
+        })
+      ]),
+      this._el('div', { className: 'ae-challenge-title', text: ch.title }),
+      this._el('div', { className: 'ae-difficulty' }, ['Difficulty: ', this._stars(ch.difficulty)])
+    ]));
+
+    // Hints (none in exams)
+    const hints = [];
     if (!this.reviewMode && ch.hints.length > 0) {
-      html += `<button class="ae-btn" id="ae-hint-btn" ${this.hintsRevealed >= ch.hints.length ? 'disabled' : ''}>Reveal Hint (${this.hintsRevealed}/${ch.hints.length})</button>`;
+      hints.push(this._el('button', {
+        className: 'ae-btn', id: 'ae-hint-btn', disabled: this.hintsRevealed >= ch.hints.length,
+        text: `Reveal Hint (${this.hintsRevealed}/${ch.hints.length})`, on: { click: () => this.revealHint() }
+      }));
     }
     if (this.hintsRevealed > 0) {
-      html += '<ol class="ae-hint-list">';
-      for (let h = 0; h < this.hintsRevealed; h++) {
-        html += `<li>${ch.hints[h]}</li>`;
-      }
-      html += '</ol>';
+      hints.push(this._el('ol', { className: 'ae-hint-list' },
+        ch.hints.slice(0, this.hintsRevealed).map(h => this._el('li', { text: AssessmentBank.hintText(h) }))));
     } else if (!this.reviewMode) {
-      html += '<p class="ae-muted">No hints revealed yet.</p>';
+      hints.push(this._el('p', { className: 'ae-muted', text: 'No hints revealed yet.' }));
     }
-    html += '</div>';
+    if (!this._exam) sections.push(this._section('Hints', hints));
 
     // Instructions
-    if (!this.reviewMode) {
-      html += '<div class="ae-section">';
-      html += '<h2>Instructions</h2>';
-      html += '<p class="ae-muted">Click on problem areas in the figure. Select the matching rubric issue from the popup. Click an annotation to remove it.</p>';
-      html += '</div>';
+    const exam = this._exam;
+    if (!this.reviewMode && this._examLocked(i)) {
+      sections.push(this._section('Exam', [
+        this._el('p', {
+          className: 'ae-muted',
+          text: exam.submittedAt
+            ? 'Exam submitted. Your findings are locked; feedback appears once your instructor releases it.'
+            : 'Time is up for this figure, so its findings are locked. You can still work on the others.'
+        })
+      ]));
+    } else if (!this.reviewMode) {
+      sections.push(this._section('Instructions', [
+        this._el('p', { className: 'ae-muted', text: 'Click on problem areas in the figure. Select the matching rubric issue from the popup. Click an annotation to remove it.' }),
+        this._el('p', { className: 'ae-muted', text: 'Keyboard: focus the figure, then Tab or arrow keys to move between regions, Enter to flag an issue, Delete to remove the last flag in a region.' }),
+        exam ? this._el('p', { className: 'ae-muted', text: 'Exam: nothing is checked until you submit on the last figure, and hints are off.' }) : null
+      ]));
     }
 
-    // Summary button (after last challenge in review mode)
-    if (this.reviewMode) {
-      html += '<div class="ae-section">';
-      html += '<button class="ae-btn" id="ae-summary-btn">View Summary</button>';
-      html += '</div>';
+    // Summary button (after last challenge in review mode, or a submitted exam)
+    if (this.reviewMode || (exam && exam.submittedAt)) {
+      sections.push(this._el('div', { className: 'ae-section' }, [
+        this._el('button', { className: 'ae-btn', id: 'ae-summary-btn', text: 'View Summary', on: { click: () => this._showSummary() } })
+      ]));
     }
 
-    this.leftPanel.innerHTML = html;
-
-    // Event wiring
-    const prevBtn = document.getElementById('ae-prev');
-    const nextBtn = document.getElementById('ae-next');
-    if (prevBtn) prevBtn.addEventListener('click', () => this.loadChallenge(this.currentIndex - 1));
-    if (nextBtn) nextBtn.addEventListener('click', () => this.loadChallenge(this.currentIndex + 1));
-    const hintBtn = document.getElementById('ae-hint-btn');
-    if (hintBtn) hintBtn.addEventListener('click', () => this.revealHint());
-    const summaryBtn = document.getElementById('ae-summary-btn');
-    if (summaryBtn) summaryBtn.addEventListener('click', () => this._showSummary());
+    this._keepFocus(this.leftPanel, () => this.leftPanel.replaceChildren(...sections));
   }
 
   _stars(difficulty) {
     const levels = { easy: 1, medium: 2, hard: 3 };
     const n = levels[difficulty] || 1;
-    return '<span class="ae-stars">' + '\u2605'.repeat(n) + '\u2606'.repeat(3 - n) + '</span>';
+    return this._el('span', { className: 'ae-stars', text: '\u2605'.repeat(n) + '\u2606'.repeat(3 - n) });
   }
 
   /* ── right panel (rubric + findings) ───────────────── */
 
   _renderRight() {
     const ch = this.challenges[this.currentIndex];
-    let html = '';
 
     // Rubric reference
-    html += '<div class="ae-section">';
-    html += '<h2>Rubric Reference</h2>';
     const cats = {};
     for (const r of this.rubric) {
       (cats[r.category] = cats[r.category] || []).push(r);
     }
-    for (const [cat, items] of Object.entries(cats)) {
-      html += `<details class="ae-rubric-cat"><summary><span class="ae-picker-dot" style="background:${this._catColors[cat] || '#aaa'}"></span>${cat} (${items.length})</summary>`;
-      html += '<ul class="ae-rubric-list">';
-      for (const it of items) {
-        html += `<li><strong>${it.shortName}</strong>: ${it.description}</li>`;
-      }
-      html += '</ul></details>';
-    }
-    html += '</div>';
+    const rubricSection = this._section('Rubric Reference', Object.entries(cats).map(([cat, items]) =>
+      this._el('details', { className: 'ae-rubric-cat' }, [
+        this._el('summary', {}, [this._dot(this._catColors[cat] || '#aaa'), `${cat} (${items.length})`]),
+        this._el('ul', { className: 'ae-rubric-list' }, items.map(it =>
+          this._el('li', {}, [this._el('strong', { text: it.shortName }), `: ${it.description || ''}`])))
+      ])));
 
     // Findings
-    html += '<div class="ae-section">';
-    html += `<h2>Your Findings <span class="ae-count">${this.findings.length}</span></h2>`;
+    const rows = [];
+    const name = rubricId => this._rubricName(rubricId);
+    const reviewRow = (cls, icon, label, explanation, finding) => this._el('div', { className: `ae-finding ${cls}` }, [
+      this._el('span', { className: 'ae-finding-icon', text: icon }),
+      ` ${label}`,
+      explanation != null ? this._el('div', { className: 'ae-explanation', text: explanation }) : null,
+      finding ? this._findingNote(finding) : null
+    ]);
 
     if (this.reviewMode) {
       const key = ch.answerKey;
-      const matchedIds = new Set();
-      // Correct findings
-      for (const f of this.findings) {
-        const match = key.find(k => k.rubricId === f.rubricId && !matchedIds.has(k.rubricId));
-        const rItem = this.rubric.find(r => r.id === f.rubricId);
-        if (match) {
-          matchedIds.add(match.rubricId);
-          html += `<div class="ae-finding ae-correct"><span class="ae-finding-icon">\u2713</span> ${rItem ? rItem.shortName : f.rubricId}<div class="ae-explanation">${match.explanation}</div></div>`;
-        } else {
-          html += `<div class="ae-finding ae-incorrect"><span class="ae-finding-icon">\u2717</span> ${rItem ? rItem.shortName : f.rubricId}<div class="ae-explanation">This isn't an issue in this figure.</div></div>`;
-        }
+      const review = this._reviewChallenge(this.currentIndex);
+      const { correct, incorrect, missed } = review;
+      const score = this.scorer.scoreChallenge(ch, review, this.hintsRevealed);
+      rows.push(this._el('div', { className: 'ae-score' }, [
+        'Score: ', this._el('strong', { text: score.points }), ` / ${score.maxPoints}`,
+        score.hintDeduction > 0 ? ' ' : null,
+        score.hintDeduction > 0 ? this._el('span', { className: 'ae-muted', text: `(\u2212${score.hintDeduction} for hints)` }) : null
+      ]));
+      for (const { finding: f, key: match } of correct) {
+        rows.push(reviewRow('ae-correct', '\u2713', name(f.rubricId), match.explanation, f));
+      }
+      for (const f of incorrect) {
+        rows.push(reviewRow('ae-incorrect', '\u2717', name(f.rubricId), 'This isn\'t an issue in this figure.', f));
       }
       // Missed
-      const missed = key.filter(k => !matchedIds.has(k.rubricId));
       if (missed.length > 0) {
-        html += '<div class="ae-missed-heading">Missed Issues</div>';
+        rows.push(this._el('div', { className: 'ae-missed-heading', text: 'Missed Issues' }));
         for (const m of missed) {
-          const rItem = this.rubric.find(r => r.id === m.rubricId);
-          html += `<div class="ae-finding ae-missed"><span class="ae-finding-icon">!</span> ${rItem ? rItem.shortName : m.rubricId}<div class="ae-explanation">${m.explanation}</div></div>`;
+          rows.push(reviewRow('ae-missed', '!', name(m.rubricId), m.explanation));
         }
       }
       if (key.length === 0 && this.findings.length === 0) {
-        html += '<div class="ae-finding ae-correct"><span class="ae-finding-icon">\u2713</span> Correct! This figure has no issues.</div>';
+        rows.push(reviewRow('ae-correct', '\u2713', 'Correct! This figure has no issues.'));
       } else if (key.length === 0 && this.findings.length > 0) {
-        html += '<div class="ae-missed-heading">This was a trick question — the figure is correct!</div>';
+        rows.push(this._el('div', { className: 'ae-missed-heading', text: 'This was a trick question — the figure is correct!' }));
       }
     } else {
+      const locked = this._examLocked(this.currentIndex);
+      const editable = !locked && (this.askJustification || this.askConfidence);
       if (this.findings.length === 0) {
-        html += '<p class="ae-muted">No issues identified yet.</p>';
+        rows.push(this._el('p', { className: 'ae-muted', text: 'No issues identified yet.' }));
       } else {
         for (const f of this.findings) {
-          const rItem = this.rubric.find(r => r.id === f.rubricId);
-          const col = this._rubricColor(f.rubricId);
-          html += `<div class="ae-finding"><span class="ae-picker-dot" style="background:${col}"></span>${rItem ? rItem.shortName : f.rubricId}<button class="ae-finding-remove" data-id="${f.id}">\u2717</button></div>`;
+          const zone = this._zoneLabel(f.zoneId);
+          rows.push(this._el('div', { className: 'ae-finding' }, [
+            this._dot(this._rubricColor(f.rubricId)),
+            name(f.rubricId),
+            this._el('span', { className: 'ae-finding-zone', text: zone }),
+            locked ? null : this._el('button', {
+              className: 'ae-finding-remove', 'aria-label': `Remove ${name(f.rubricId)} in ${zone}`, text: '\u2717',
+              on: { click: () => this.removeFinding(f.id) }
+            }),
+            editable ? this._findingEditor(f, `${name(f.rubricId)} in ${zone}`) : this._findingNote(f)
+          ]));
         }
       }
-      html += `<button class="ae-btn ae-btn-subtle" id="ae-clear-all" ${this.findings.length === 0 ? 'disabled' : ''}>Clear All</button>`;
+      if (!locked) rows.push(this._el('button', {
+        className: 'ae-btn ae-btn-subtle', id: 'ae-clear-all', disabled: this.findings.length === 0,
+        text: 'Clear All', on: { click: () => this.clearFindings() }
+      }));
     }
-    html += '</div>';
+    const heading = ['Your Findings ', this._el('span', { className: 'ae-count', text: this.findings.length })];
+    const findingsSection = this._section(heading, rows);
 
-    this.rightPanel.innerHTML = html;
+    this._keepFocus(this.rightPanel, () => this.rightPanel.replaceChildren(rubricSection, findingsSection));
+  }
 
-    // Wire remove buttons
-    this.rightPanel.querySelectorAll('.ae-finding-remove').forEach(btn => {
-      btn.addEventListener('click', () => this.removeFinding(Number(btn.dataset.id)));
-    });
-    const clearBtn = document.getElementById('ae-clear-all');
-    if (clearBtn) clearBtn.addEventListener('click', () => {
-      this.findings = [];
-      this._renderRight();
-      this._drawOverlay();
-    });
+  // The student's own justification + confidence, if any
+  _findingNote(f) {
+    if (!f.justification && !f.confidence) return null;
+    const parts = [];
+    if (f.justification) parts.push(this._el('span', { text: `Your reasoning: \u201c${f.justification}\u201d` }));
+    if (f.confidence) parts.push(this._el('span', { className: 'ae-confidence-tag', text: AssessmentEngine.CONFIDENCE_LABELS[f.confidence - 1] }));
+    return this._el('div', { className: 'ae-finding-note' }, parts);
+  }
+
+  // Inline editors; saved on change so typing doesn't re-render the panel
+  _findingEditor(f, label) {
+    const fields = [];
+    if (this.askJustification) {
+      fields.push(this._el('textarea', {
+        className: 'ae-input ae-finding-just', rows: 2, maxLength: 280, value: f.justification || '',
+        placeholder: 'Why?', 'aria-label': `Justification for ${label}`,
+        on: { change: e => this.updateFinding(f.id, { justification: e.target.value }) }
+      }));
+    }
+    if (this.askConfidence) {
+      const options = [this._el('option', { value: '', text: 'Confidence\u2026' })].concat(AssessmentEngine.CONFIDENCE_LABELS.map((l, i) =>
+        this._el('option', { value: i + 1, text: l, selected: f.confidence === i + 1 })));
+      fields.push(this._el('select', {
+        className: 'ae-input ae-finding-conf', 'aria-label': `Confidence for ${label}`,
+        on: { change: e => this.updateFinding(f.id, { confidence: e.target.value || null }) }
+      }, options));
+    }
+    return this._el('div', { className: 'ae-finding-edit' }, fields);
   }
 
   /* ── center controls (Check Answers / Next) ────────── */
 
   _renderCenterControls() {
-    let html = '';
-    if (!this.reviewMode) {
-      html += '<button class="ae-btn ae-btn-primary" id="ae-check">Check Answers</button>';
-    } else {
-      if (this.currentIndex < this.challenges.length - 1) {
-        html += '<button class="ae-btn ae-btn-primary" id="ae-next-bottom">Next Challenge \u203a</button>';
+    const buttons = [];
+    const exam = this._exam;
+    const last = this.currentIndex === this.challenges.length - 1;
+    this._timerEl = null;
+    if (exam && !this.reviewMode) {
+      if (!exam.submittedAt && this._examTimer) {
+        this._timerEl = this._el('span', { className: 'ae-timer', role: 'timer' });
+        buttons.push(this._timerEl);
+      }
+      if (exam.submittedAt) {
+        buttons.push(this._el('button', { className: 'ae-btn ae-btn-primary', id: 'ae-summary-bottom', text: 'View Summary', on: { click: () => this._showSummary() } }));
+      } else if (!last) {
+        buttons.push(this._el('button', {
+          className: 'ae-btn ae-btn-primary', id: 'ae-next-bottom', text: 'Next Figure \u203a',
+          on: { click: () => this.loadChallenge(this.currentIndex + 1) }
+        }));
       } else {
-        html += '<button class="ae-btn ae-btn-primary" id="ae-summary-bottom">View Summary</button>';
+        buttons.push(this._el('button', {
+          className: 'ae-btn ae-btn-primary', id: 'ae-submit-exam', text: 'Submit Exam',
+          on: {
+            click: () => {
+              if (window.confirm('Submit the exam? Findings cannot be changed afterwards.')) this.submitExam('student');
+            }
+          }
+        }));
       }
+    } else if (!this.reviewMode) {
+      buttons.push(this._el('button', { className: 'ae-btn ae-btn-primary', id: 'ae-check', text: 'Check Answers', on: { click: () => this.checkAnswers() } }));
+    } else if (!last) {
+      buttons.push(this._el('button', {
+        className: 'ae-btn ae-btn-primary', id: 'ae-next-bottom', text: 'Next Challenge \u203a',
+        on: { click: () => this.loadChallenge(this.currentIndex + 1) }
+      }));
+    } else {
+      buttons.push(this._el('button', { className: 'ae-btn ae-btn-primary', id: 'ae-summary-bottom', text: 'View Summary', on: { click: () => this._showSummary() } }));
     }
-    this.centerControls.innerHTML = html;
-
-    const checkBtn = document.getElementById('ae-check');
-    if (checkBtn) checkBtn.addEventListener('click', () => this.checkAnswers());
-    const nextBot = document.getElementById('ae-next-bottom');
-    if (nextBot) nextBot.addEventListener('click', () => this.loadChallenge(this.currentIndex + 1));
-    const sumBot = document.getElementById('ae-summary-bottom');
-    if (sumBot) sumBot.addEventListener('click', () => this._showSummary());
+    // Previewing from authoring mode
+    if (this.author) {
+      buttons.push(this._el('button', { className: 'ae-btn', id: 'ae-back-to-author', text: 'Back to Authoring', on: { click: () => this.author.resume() } }));
+    }
+    this._keepFocus(this.centerControls, () => this.centerControls.replaceChildren(...buttons));
+    this._updateTimer();
   }
 
   /* ── tutorial mode ──────────────────────────────────── */
@@ -563,69 +1802,61 @@ class AssessmentEngine {
     const step = steps[this._tutorialStep];
     this._tutorialVisited.add(this._tutorialStep);
 
-    // Notify callback
+    // Notify callback + listeners
     if (this.onTutorialStep) this.onTutorialStep(step, this._tutorialStep);
+    this._emit('tutorialStep', { step, stepIndex: this._tutorialStep, challengeIndex: this.currentIndex });
+    this.canvas.setAttribute('aria-label', `Tutorial figure: ${ch.title}. Highlighting ${step.label}.`);
+    this._announce(`Step ${this._tutorialStep + 1} of ${steps.length}: ${step.label}. ${step.text}`);
 
     // Draw overlay
     this._drawTutorialOverlay(step);
 
+    const goTo = i => { this._tutorialStep = i; this._renderTutorial(); };
+
     // Left panel
-    let html = '';
-    html += '<div class="ae-section">';
-    html += '<h2>Tutorial</h2>';
-    html += `<div class="ae-challenge-title">${ch.title}</div>`;
-    html += '<p class="ae-muted" style="margin:8px 0">This figure follows all E80 guidelines. Step through each element to learn what makes a good figure.</p>';
-    html += '</div>';
-
-    html += '<div class="ae-section">';
-    html += '<h2>Steps</h2>';
-    html += '<div class="ae-tutorial-steps">';
-    for (let i = 0; i < steps.length; i++) {
+    const stepButtons = steps.map((s, i) => {
       const visited = this._tutorialVisited.has(i);
       const current = i === this._tutorialStep;
       const cls = current ? 'ae-tut-step ae-tut-current' : visited ? 'ae-tut-step ae-tut-visited' : 'ae-tut-step';
       const icon = visited && !current ? '\u2713 ' : `${i + 1}. `;
-      html += `<button class="${cls}" data-step="${i}">${icon}${steps[i].label}</button>`;
-    }
-    html += '</div>';
-    html += '</div>';
-
-    this.leftPanel.innerHTML = html;
-
-    this.leftPanel.querySelectorAll('.ae-tut-step').forEach(btn => {
-      btn.addEventListener('click', () => {
-        this._tutorialStep = Number(btn.dataset.step);
-        this._renderTutorial();
+      return this._el('button', {
+        className: cls, id: `ae-tut-step-${i}`,
+        'aria-label': `Step ${i + 1}: ${s.label}${visited && !current ? ' (visited)' : ''}`,
+        'aria-current': current ? 'step' : null,
+        text: icon + s.label, on: { click: () => goTo(i) }
       });
     });
+    const left = [
+      this._section('Tutorial', [
+        this._el('div', { className: 'ae-challenge-title', text: ch.title }),
+        this._el('p', { className: 'ae-muted', style: 'margin:8px 0', text: 'This figure follows all E80 guidelines. Step through each element to learn what makes a good figure.' })
+      ]),
+      this._section('Steps', [
+        this._el('div', { className: 'ae-tutorial-steps', role: 'group', 'aria-label': 'Tutorial steps' }, stepButtons)
+      ])
+    ];
+    this._keepFocus(this.leftPanel, () => this.leftPanel.replaceChildren(...left));
 
     // Right panel
-    let rhtml = '';
-    rhtml += '<div class="ae-section">';
-    rhtml += `<h2>Step ${this._tutorialStep + 1} of ${steps.length}</h2>`;
-    rhtml += `<div class="ae-challenge-title">${step.label}</div>`;
-    rhtml += `<p class="ae-tutorial-text">${step.text}</p>`;
-    rhtml += '</div>';
-    this.rightPanel.innerHTML = rhtml;
+    this.rightPanel.replaceChildren(this._section(`Step ${this._tutorialStep + 1} of ${steps.length}`, [
+      this._el('div', { className: 'ae-challenge-title', text: step.label }),
+      this._el('p', { className: 'ae-tutorial-text', text: step.text })
+    ]));
 
     // Center controls
-    let chtml = '';
+    const buttons = [];
     if (this._tutorialStep > 0) {
-      chtml += '<button class="ae-btn" id="ae-tut-prev">&lsaquo; Previous</button>';
+      buttons.push(this._el('button', { className: 'ae-btn', id: 'ae-tut-prev', text: '\u2039 Previous', on: { click: () => goTo(this._tutorialStep - 1) } }));
     }
     if (this._tutorialStep < steps.length - 1) {
-      chtml += '<button class="ae-btn ae-btn-primary" id="ae-tut-next">Next &rsaquo;</button>';
+      buttons.push(this._el('button', { className: 'ae-btn ae-btn-primary', id: 'ae-tut-next', text: 'Next \u203a', on: { click: () => goTo(this._tutorialStep + 1) } }));
     } else {
-      chtml += '<button class="ae-btn ae-btn-primary" id="ae-tut-start">Start Critiques &rsaquo;</button>';
+      buttons.push(this._el('button', {
+        className: 'ae-btn ae-btn-primary', id: 'ae-tut-start', text: 'Start Critiques \u203a',
+        on: { click: () => this.loadChallenge(this.currentIndex + 1) }
+      }));
     }
-    this.centerControls.innerHTML = chtml;
-
-    const prevBtn = document.getElementById('ae-tut-prev');
-    if (prevBtn) prevBtn.addEventListener('click', () => { this._tutorialStep--; this._renderTutorial(); });
-    const nextBtn = document.getElementById('ae-tut-next');
-    if (nextBtn) nextBtn.addEventListener('click', () => { this._tutorialStep++; this._renderTutorial(); });
-    const startBtn = document.getElementById('ae-tut-start');
-    if (startBtn) startBtn.addEventListener('click', () => this.loadChallenge(this.currentIndex + 1));
+    this._keepFocus(this.centerControls, () => this.centerControls.replaceChildren(...buttons));
   }
 
   _drawTutorialOverlay(step) {
@@ -634,31 +1865,32 @@ class AssessmentEngine {
 
     const ctx = this.ctx;
 
-    if (!step || step.domTarget) {
+    const zone = step && this.zones.find(z => z.id === step.zoneId);
+    this._spotlightDom(zone && zone.el ? zone.id : null);
+
+    if (!step || step.domTarget || (zone && zone.el)) {
       ctx.save();
       ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
       ctx.fillRect(0, 0, W, H);
       ctx.restore();
       return;
     }
-
-    const zone = this.zones.find(z => z.id === step.zoneId);
     if (!zone) return;
 
-    const rr = zone.rect;
-
     ctx.save();
     ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
     ctx.beginPath();
     ctx.rect(0, 0, W, H);
-    ctx.rect(rr.x, rr.y + rr.h, rr.w, -rr.h);
+    this._traceZone(ctx, zone);
     ctx.fill('evenodd');
 
+    ctx.beginPath();
+    this._traceZone(ctx, zone, -1);
     ctx.strokeStyle = '#50c878';
     ctx.lineWidth = 3;
     ctx.shadowColor = '#50c878';
     ctx.shadowBlur = 12;
-    ctx.strokeRect(rr.x - 1, rr.y - 1, rr.w + 2, rr.h + 2);
+    ctx.stroke();
     ctx.restore();
   }
 
@@ -669,29 +1901,116 @@ class AssessmentEngine {
     const existing = document.getElementById('ae-summary-overlay');
     if (existing) existing.remove();
 
-    const overlay = document.createElement('div');
-    overlay.id = 'ae-summary-overlay';
-    overlay.className = 'ae-summary-overlay';
-
-    let html = '<div class="ae-summary-box">';
-    html += '<h2>Challenge Summary</h2>';
-    html += '<div class="ae-summary-list">';
+    const summary = this.getSummary();
+    // A submitted exam shows no results until feedback is released
+    const withheld = !!this._exam && !this._exam.released;
     const critiqueChallenges = this.challenges.map((ch, i) => ({ ch, i })).filter(({ ch }) => ch.type !== 'tutorial');
-    for (const { ch, i } of critiqueChallenges) {
-      const done = this._completed.has(i);
-      const icon = done ? '\u2713' : '\u2014';
-      const cls = done ? 'ae-sum-done' : 'ae-sum-skip';
-      html += `<div class="ae-summary-row ${cls}"><span>${icon}</span><strong>${ch.title}</strong><span class="ae-difficulty">${this._stars(ch.difficulty)}</span></div>`;
-    }
-    html += '</div>';
-    const critiqueCompleted = critiqueChallenges.filter(({ i }) => this._completed.has(i)).length;
-    html += `<p class="ae-muted">${critiqueCompleted} of ${critiqueChallenges.length} challenges reviewed.</p>`;
-    html += '<button class="ae-btn ae-btn-primary" id="ae-close-summary">Close</button>';
-    html += '</div>';
-    overlay.innerHTML = html;
+    const rows = critiqueChallenges.map(({ ch, i }) => {
+      const s = summary[i];
+      const done = s.status === 'completed';
+      let detail;
+      if (withheld) {
+        detail = `${s.findings} flag${s.findings === 1 ? '' : 's'}`;
+        if (this._stateFor(i).timeUp) detail += ' \u00b7 time up';
+      } else if (done) {
+        detail = `${s.correct}/${s.total} found`;
+        if (s.incorrect > 0) detail += `, ${s.incorrect} false`;
+        detail += ` \u00b7 ${s.score.points}/${s.score.maxPoints} pts`;
+      } else {
+        detail = s.findings > 0 ? `${s.findings} unchecked` : 'skipped';
+      }
+      if (s.hintsRevealed > 0) detail += ` \u00b7 ${s.hintsRevealed} hint${s.hintsRevealed === 1 ? '' : 's'}`;
+      return this._el('div', { className: `ae-summary-row ${done && !withheld ? 'ae-sum-done' : 'ae-sum-skip'}` }, [
+        this._el('strong', { text: ch.title }),
+        this._el('span', { className: 'ae-sum-detail', text: detail }),
+        this._el('span', { className: 'ae-difficulty' }, [this._stars(ch.difficulty)])
+      ]);
+    });
+    const critiqueCompleted = critiqueChallenges.filter(({ i }) => this.core.isChecked(i)).length;
+    const total = this.getScore();
+
+    const overlay = this._el('div', {
+      id: 'ae-summary-overlay', className: 'ae-summary-overlay',
+      on: { click: e => { if (e.target === overlay) overlay.remove(); } }
+    });
+    const exportBtn = (format, label) => this._el('button', { className: 'ae-btn', text: label, on: { click: () => this.downloadAttempts(format) } });
+
+    // Attempt records carry each finding's outcome and the missed key
+    // items, so they are not offered while an exam's feedback is withheld
+    let sendRow = [];
+    if (this.xapi.endpoint && !withheld) {
+      const status = this._el('p', { className: 'ae-muted', id: 'ae-send-status' });
+      const sendBtn = this._el('button', {
+        className: 'ae-btn', id: 'ae-send-xapi', text: 'Send to LRS',
+        on: {
+          click: () => {
+            sendBtn.disabled = true;
+            status.textContent = 'Sending\u2026';
+            this.sendAttempts()
+              .then(() => { status.textContent = 'Sent.'; })
+              .catch(err => { status.textContent = 'Send failed: ' + err.message; sendBtn.disabled = false; });
+          }
+        }
+      });
+      sendRow = [sendBtn, status];
+    }
+
+    overlay.appendChild(this._el('div', { className: 'ae-summary-box' }, [
+      this._el('h2', { text: this._exam ? 'Exam Summary' : 'Challenge Summary' }),
+      this._el('div', { className: 'ae-summary-list' }, rows),
+      withheld ? null : this._el('div', { className: 'ae-score ae-score-total' }, [
+        'Total: ', this._el('strong', { text: total.points }), ` / ${total.maxPoints} points (${total.percent}%)`
+      ]),
+      withheld ? null : this._calibrationChart(),
+      this._el('p', {
+        className: 'ae-muted',
+        text: withheld
+          ? (this._exam.submittedAt ? 'Submitted. Scores and feedback will appear once your instructor releases them.' : 'Not submitted yet.')
+          : `${critiqueCompleted} of ${critiqueChallenges.length} challenges reviewed.`
+      }),
+      withheld ? null : this._el('div', { className: 'ae-export-row' }, [
+        exportBtn('json', 'Export JSON'), exportBtn('csv', 'Export CSV'), exportBtn('xapi', 'Export xAPI')
+      ]),
+      ...sendRow,
+      this._el('button', { className: 'ae-btn ae-btn-primary', id: 'ae-close-summary', text: 'Close', on: { click: () => overlay.remove() } }),
+      this._exam ? null : this._el('button', {
+        className: 'ae-btn ae-btn-subtle', id: 'ae-reset-session', text: 'Start Over',
+        on: {
+          click: () => {
+            if (!window.confirm('Clear all findings and hints for every challenge?')) return;
+            overlay.remove();
+            this.resetSession();
+          }
+        }
+      })
+    ]));
     document.body.appendChild(overlay);
+  }
 
-    document.getElementById('ae-close-summary').addEventListener('click', () => overlay.remove());
-    overlay.addEventListener('click', e => { if (e.target === overlay) overlay.remove(); });
+  // Bars per confidence level: how many rated findings were right / wrong.
+  _calibrationChart() {
+    const cal = this.getCalibration();
+    if (cal.rated === 0) return null;
+    const max = Math.max(...cal.levels.map(l => l.correct + l.incorrect), 1);
+    const rows = cal.levels.map(l => {
+      const n = l.correct + l.incorrect;
+      const label = AssessmentEngine.CONFIDENCE_LABELS[l.confidence - 1];
+      return this._el('div', { className: 'ae-cal-row' }, [
+        this._el('span', { className: 'ae-cal-label', text: label }),
+        this._el('span', { className: 'ae-cal-track', 'aria-hidden': 'true' }, [
+          this._el('span', { className: 'ae-cal-bar ae-cal-right', style: `width:${(l.correct / max) * 100}%` }),
+          this._el('span', { className: 'ae-cal-bar ae-cal-wrong', style: `width:${(l.incorrect / max) * 100}%` })
+        ]),
+        this._el('span', { className: 'ae-cal-count', text: n ? `${l.correct}/${n} right` : '\u2013' })
+      ]);
+    });
+    return this._el('div', { className: 'ae-calibration', role: 'group', 'aria-label': 'Confidence versus correctness' }, [
+      this._el('h3', { text: 'Confidence vs. correctness' }),
+      ...rows,
+      this._el('p', {
+        className: 'ae-muted',
+        text: `${cal.confidentWrong} certain but wrong \u00b7 ${cal.unsureRight} guessed but right`
+      })
+    ]);
   }
 }
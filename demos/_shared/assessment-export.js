@@ -0,0 +1,187 @@
+/**
+ * AssessmentExporter — serialises an attempt record from
+ * AssessmentEngine.getAttemptRecord() as JSON, flat CSV or xAPI statements.
+ *
+ * Usage:
+ *   const exporter = new AssessmentExporter({ actor, activityBase });
+ *   exporter.toJSON(record);        // pretty-printed string
+ *   exporter.toCSV(record);         // one row per finding / missed issue
+ *   exporter.toStatements(record);  // [xAPI 1.0.3 statement]
+ *   exporter.sendStatements(record, endpoint, auth) => Promise<Response>
+ *
+ * Options (all optional):
+ *   actor         xAPI Agent, e.g. {name, mbox: 'mailto:...'}; anonymous if omitted
+ *   activityBase  IRI prefix for activity ids (default: page URL)
+ */
+
+/* eslint-disable no-unused-vars */
+class AssessmentExporter {
+  constructor(opts) {
+    const o = opts || {};
+    this.actor = o.actor || null;
+    this.activityBase = (o.activityBase || window.location.href.split(/[?#]/)[0]).replace(/\/$/, '');
+  }
+
+  toJSON(record) {
+    return JSON.stringify(record, null, 2);
+  }
+
+  /* ── CSV ───────────────────────────────────────────── */
+
+  static get CSV_COLUMNS() {
+    return [
+      'student', 'bank_id', 'challenge_index', 'challenge_title', 'status',
+      'hints_revealed', 'time_on_task_s', 'points', 'max_points',
+      'row_type', 'rubric_id', 'zone_id', 'x', 'y', 'timestamp', 'outcome',
+      'confidence', 'justification'
+    ];
+  }
+
+  // One row per finding and per missed issue; a challenge with neither
+  // still gets a single row so every attempt appears in the gradebook.
+  // Tutorials are left out.
+  toCSV(record) {
+    const rows = [AssessmentExporter.CSV_COLUMNS];
+    const student = record.student ? (record.student.name || record.student.mbox || '') : '';
+    for (const ch of record.challenges) {
+      if (ch.type === 'tutorial') continue;
+      const base = [
+        student, record.bankId, ch.index, ch.title, ch.status,
+        ch.hintsRevealed, (ch.timeOnTaskMs / 1000).toFixed(1),
+        ch.score ? ch.score.points : '', ch.score ? ch.score.maxPoints : ''
+      ];
+      for (const f of ch.findings) {
+        rows.push([...base, 'finding', f.rubricId, this._zoneStr(f.zoneId), this._coord(f.x), this._coord(f.y), f.timestamp || '', f.outcome,
+          f.confidence || '', f.justification || '']);
+      }
+      for (const m of ch.missed) {
+        rows.push([...base, 'missed', m.rubricId, this._zoneStr(m.zoneId), '', '', '', 'missed', '', '']);
+      }
+      if (ch.findings.length === 0 && ch.missed.length === 0) {
+        rows.push([...base, 'none', '', '', '', '', '', '', '', '']);
+      }
+    }
+    return rows.map(r => r.map(v => this._csvCell(v)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Text a spreadsheet would run as a formula (a justification starting
+  // with "=", say) gets a leading apostrophe; numbers are left alone.
+  _csvCell(v) {
+    let s = v == null ? '' : String(v);
+    if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  _coord(v) {
+    return v == null ? '' : Math.round(v);
+  }
+
+  _zoneStr(zoneId) {
+    return Array.isArray(zoneId) ? zoneId.join('|') : (zoneId || '');
+  }
+
+  /* ── xAPI ──────────────────────────────────────────── */
+
+  // One "answered" statement per finding plus one "completed" statement
+  // (with score and duration) per checked challenge.
+  toStatements(record) {
+    const actor = this.actor || { objectType: 'Agent', name: 'Anonymous', account: { homePage: this.activityBase, name: 'anonymous' } };
+    const ext = name => `${this.activityBase}/xapi/extensions/${name}`;
+    const statements = [];
+
+    for (const ch of record.challenges) {
+      if (ch.status !== 'completed') continue;
+      const object = {
+        objectType: 'Activity',
+        // bankIndex: an exam's shuffled order still maps to the same activity
+        id: `${this.activityBase}/${encodeURIComponent(record.bankId)}/challenge/${ch.bankIndex != null ? ch.bankIndex : ch.index}`,
+        definition: {
+          name: { 'en-US': ch.title },
+          type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+          interactionType: 'other'
+        }
+      };
+
+      for (const f of ch.findings) {
+        // Findings in element zones (outside the canvas) have no position
+        const extensions = f.x != null ? { [ext('position')]: { x: Math.round(f.x), y: Math.round(f.y) } } : {};
+        if (f.confidence) extensions[ext('confidence')] = f.confidence;
+        if (f.justification) extensions[ext('justification')] = f.justification;
+        statements.push({
+          id: this._uuid(),
+          actor,
+          verb: { id: 'http://adlnet.gov/expapi/verbs/answered', display: { 'en-US': 'answered' } },
+          object,
+          result: {
+            success: f.outcome === 'correct',
+            response: `${f.rubricId}@${this._zoneStr(f.zoneId)}`,
+            extensions
+          },
+          timestamp: f.timestamp || record.exportedAt
+        });
+      }
+
+      const score = ch.score;
+      statements.push({
+        id: this._uuid(),
+        actor,
+        verb: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' } },
+        object,
+        result: {
+          completion: true,
+          success: ch.missed.length === 0 && ch.findings.every(f => f.outcome === 'correct'),
+          score: { raw: score.points, min: 0, max: score.maxPoints, scaled: score.maxPoints > 0 ? score.points / score.maxPoints : 0 },
+          duration: this._isoDuration(ch.timeOnTaskMs),
+          extensions: {
+            [ext('hints-revealed')]: ch.hintsRevealed,
+            [ext('missed')]: ch.missed.map(m => m.rubricId)
+          }
+        },
+        timestamp: ch.checkedAt || record.exportedAt
+      });
+    }
+    return statements;
+  }
+
+  // POST statements to an LRS (`endpoint` is the xAPI base, e.g. '/xapi').
+  sendStatements(record, endpoint, auth) {
+    const headers = { 'Content-Type': 'application/json', 'X-Experience-API-Version': '1.0.3' };
+    if (auth) headers.Authorization = auth;
+    return fetch(endpoint.replace(/\/$/, '') + '/statements', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(this.toStatements(record))
+    }).then(res => {
+      if (!res.ok) throw new Error(`LRS responded ${res.status}`);
+      return res;
+    });
+  }
+
+  _isoDuration(ms) {
+    return 'PT' + (Math.round(ms / 100) / 10) + 'S';
+  }
+
+  _uuid() {
+    if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+      const r = Math.random() * 16 | 0;
+      return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+  }
+
+  /* ── browser download ──────────────────────────────── */
+
+  download(filename, text, mime) {
+    const blob = new Blob([text], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) module.exports = { AssessmentExporter };
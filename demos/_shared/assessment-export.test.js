@@ -0,0 +1,48 @@
+/**
+ * CSV export of attempt records (AssessmentExporter.toCSV). No browser
+ * needed:
+ *
+ *   node --test demos/_shared/assessment-export.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AssessmentExporter } = require('./assessment-export.js');
+
+const exporter = new AssessmentExporter({ activityBase: 'https://example.edu/demos/figure-critique' });
+
+// An attempt record as AssessmentEngine.getAttemptRecord() builds it
+function record(findings) {
+  return {
+    bankId: 'e80-figures',
+    student: { name: 'stu1' },
+    challenges: [{
+      index: 1, title: 'Temperature vs Time', type: 'critique', status: 'completed',
+      hintsRevealed: 0, timeOnTaskMs: 12000, score: { points: 5, maxPoints: 10 },
+      findings, missed: [],
+    }],
+  };
+}
+
+const finding = fields => ({ rubricId: 'title', zoneId: 'title', x: 300, y: 10, timestamp: 1, outcome: 'incorrect', ...fields });
+
+const rows = csv => csv.trimEnd().split('\r\n').slice(1);
+
+test('one row per finding, with quoting where a cell needs it', () => {
+  const csv = exporter.toCSV(record([finding({ justification: 'No title, and no units' })]));
+  assert.equal(rows(csv).length, 1);
+  assert.match(rows(csv)[0], /,"No title, and no units"$/);
+  assert.equal(csv.split('\r\n')[0], AssessmentExporter.CSV_COLUMNS.join(','));
+});
+
+test('text a spreadsheet would run as a formula is prefixed with an apostrophe', () => {
+  const justifications = ['=HYPERLINK("http://evil.example","x")', '+1', '-2 dB', '@SUM(A1)', '\tx', '\rx'];
+  const csv = exporter.toCSV(record(justifications.map(justification => finding({ justification }))));
+  const cells = ['"\'=HYPERLINK(""http://evil.example"",""x"")"', "'+1", "'-2 dB", "'@SUM(A1)", "'\tx", '"\'\rx"'];
+  rows(csv).forEach((row, i) => assert.ok(row.endsWith(',' + cells[i]), row));
+});
+
+test('numbers are not prefixed', () => {
+  const csv = exporter.toCSV(record([finding({ x: -4, justification: 'ok' })]));
+  assert.match(rows(csv)[0], /,title,-4,10,/);
+});
@@ -0,0 +1,90 @@
+/**
+ * AssessmentScorer — turns a reviewed challenge into points.
+ *
+ * Counts true positives, false positives and misses, weights answer-key
+ * entries by their optional `weight`, and deducts for hints used. Pure
+ * functions of their inputs: AssessmentCore supplies the matched review.
+ *
+ * Usage:
+ *   const scorer = new AssessmentScorer({ hintPenalty: 0.1 });
+ *   const s = scorer.scoreChallenge(challenge, review, hintsRevealed);
+ *   // s => {tp, fp, fn, precision, recall, f1, points, maxPoints, ...}
+ *
+ * Options (all optional):
+ *   pointsPerChallenge    max points for a challenge (default 10; a
+ *                         challenge's own `points` field overrides it)
+ *   falsePositivePenalty  answer-key weight units lost per false positive (default 0.5)
+ *   hintPenalty           fraction of max points lost per hint revealed (default 0)
+ *   partialCredit         false = all-or-nothing per challenge (default true)
+ */
+
+/* eslint-disable no-unused-vars */
+class AssessmentScorer {
+  constructor(opts) {
+    const o = opts || {};
+    this.pointsPerChallenge = o.pointsPerChallenge != null ? o.pointsPerChallenge : 10;
+    this.falsePositivePenalty = o.falsePositivePenalty != null ? o.falsePositivePenalty : 0.5;
+    this.hintPenalty = o.hintPenalty || 0;
+    this.partialCredit = o.partialCredit !== false;
+  }
+
+  // review: {correct:[{finding, key}], incorrect:[finding], missed:[key]}
+  scoreChallenge(challenge, review, hintsRevealed) {
+    const maxPoints = challenge.points != null ? challenge.points : this.pointsPerChallenge;
+    const weight = k => (k.weight != null ? k.weight : 1);
+
+    const tp = review.correct.length;
+    const fp = review.incorrect.length;
+    const fn = review.missed.length;
+    const foundWeight = review.correct.reduce((sum, c) => sum + weight(c.key), 0);
+    const totalWeight = foundWeight + review.missed.reduce((sum, k) => sum + weight(k), 0);
+
+    const precision = tp + fp > 0 ? tp / (tp + fp) : 1;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : 1;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+    // Fraction of the challenge earned before hint deductions. A key with
+    // no issues (a "trick" figure) is worth full marks minus false positives.
+    let fraction;
+    if (!this.partialCredit) {
+      fraction = fn === 0 && fp === 0 ? 1 : 0;
+    } else if (totalWeight === 0) {
+      fraction = 1 - this.falsePositivePenalty * fp;
+    } else {
+      fraction = (foundWeight - this.falsePositivePenalty * fp) / totalWeight;
+    }
+
+    const hintDeduction = this.hintPenalty * (hintsRevealed || 0) * maxPoints;
+    const points = this._clamp(fraction * maxPoints - hintDeduction, 0, maxPoints);
+
+    return {
+      tp, fp, fn,
+      precision, recall, f1,
+      hintsRevealed: hintsRevealed || 0,
+      hintDeduction: this._round(hintDeduction),
+      points: this._round(points),
+      maxPoints
+    };
+  }
+
+  // entries: [{challenge, score}] where score is a scoreChallenge() result,
+  // or null for a challenge that was never checked (worth 0 of its max).
+  total(entries) {
+    let points = 0, maxPoints = 0;
+    for (const { challenge, score } of entries) {
+      maxPoints += score ? score.maxPoints : (challenge.points != null ? challenge.points : this.pointsPerChallenge);
+      if (score) points += score.points;
+    }
+    return {
+      points: this._round(points),
+      maxPoints,
+      percent: maxPoints > 0 ? Math.round((points / maxPoints) * 100) : 0
+    };
+  }
+
+  _clamp(v, lo, hi) { return Math.min(hi, Math.max(lo, v)); }
+
+  _round(v) { return Math.round(v * 100) / 100; }
+}
+
+if (typeof module !== 'undefined' && module.exports) module.exports = { AssessmentScorer };
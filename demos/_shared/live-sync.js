@@ -0,0 +1,300 @@
+/**
+ * LiveSync — live classroom mode for slider-driven demos served by app.py.
+ *
+ * The instructor starts a session and gets a join code; every student who
+ * joins (code box, or ?live=CODE in the URL) follows the instructor's
+ * controls as they move. "Release control" lets students explore on their
+ * own; "Take control" snaps them back to the instructor's settings.
+ * Updates travel as server-sent events from app.py's /api/sync routes.
+ *
+ * The demo hands over its inputs and a function that re-reads them (its
+ * readSliders()), and calls publish() at the end of that function:
+ *
+ * Usage:
+ *   const live = new LiveSync({
+ *     demo: 'feedback-control',
+ *     controls: { kp: kpSlider, m: mSlider },   // state keys -> <input>s
+ *     apply: readSliders,                      // called after remote values are set
+ *     container: document.getElementById('liveSync')
+ *   });
+ *   function readSliders() { ...; live.publish(); }
+ *
+ * Opened as a file (or from a server without the sync API) nothing is
+ * rendered and publish() does nothing. Only the host publishes; a
+ * following student's controls are disabled until control is released.
+ * The host's token is kept in sessionStorage, so reloading the page keeps
+ * the session. The host page styles the live-* classes.
+ */
+
+/* eslint-disable no-unused-vars */
+class LiveSync {
+  static get PUBLISH_INTERVAL_MS() { return 100; }
+
+  constructor(cfg) {
+    this.demo = cfg.demo;
+    this.controls = cfg.controls;
+    this.apply = cfg.apply || (() => {});
+    this.container = cfg.container;
+    this.base = (cfg.base || '').replace(/\/$/, '');
+
+    this.role = null;        // null | 'host' | 'follower'
+    this.code = null;
+    this.released = false;
+    this._token = null;      // host only
+    this._events = null;     // EventSource (followers)
+    this._sending = false;   // a state POST is in flight or cooling down
+    this._dirty = false;     // controls changed while sending
+    this._error = '';
+
+    this._init();
+  }
+
+  /* ── public API ────────────────────────────────────── */
+
+  /** Current control values, keyed as in `controls`. */
+  state() {
+    const state = {};
+    for (const [key, input] of Object.entries(this.controls)) state[key] = input.value;
+    return state;
+  }
+
+  /** Send the controls to followers (host only; throttled). */
+  publish() {
+    if (this.role !== 'host') return;
+    this._dirty = true;
+    if (!this._sending) this._flush();
+  }
+
+  /** Start hosting a new session. */
+  host() {
+    return this._fetch('/api/sync', { method: 'POST', body: { demo: this.demo } })
+      .then(({ code, token }) => {
+        this._becomeHost(code, token, false);
+        this._flush();
+      })
+      .catch(err => this._fail(err));
+  }
+
+  /** Join a session by code. */
+  join(code) {
+    const c = String(code || '').trim().toUpperCase();
+    if (!c) return Promise.resolve();
+    return this._fetch(`/api/sync/${encodeURIComponent(c)}`)
+      .then(snapshot => {
+        if (snapshot.demo !== this.demo) throw new Error(`session ${c} is for another demo`);
+        this.role = 'follower';
+        this.code = c;
+        this._error = '';
+        this._listen();
+        this._receive(snapshot);
+      })
+      .catch(err => this._fail(err));
+  }
+
+  /** Host: hand the controls to students (true) or take them back (false). */
+  setReleased(released) {
+    if (this.role !== 'host') return Promise.resolve();
+    this.released = released;
+    this._render();
+    return this._post({ state: this.state(), released }).catch(err => this._fail(err));
+  }
+
+  /** Host ends the session for everyone; a follower just leaves it. */
+  leave() {
+    const ending = this.role === 'host'
+      ? this._fetch(`/api/sync/${this.code}`, { method: 'DELETE', token: true }).catch(() => {})
+      : Promise.resolve();
+    if (this._events) this._events.close();
+    this._events = null;
+    this._forgetHost();
+    this.role = null;
+    this.code = null;
+    this.released = false;
+    this._setLocked(false);
+    this._render();
+    return ending;
+  }
+
+  /* ── internals ─────────────────────────────────────── */
+
+  _init() {
+    if (!this.container || !location.protocol.startsWith('http')) return;
+    this._fetch('/api/status')
+      .then(status => {
+        if (!status.sync) return;
+        this.container.hidden = false;
+        const saved = this._savedHost();
+        const code = new URLSearchParams(location.search).get('live');
+        if (saved) {
+          // Reloaded while hosting: keep the session if it still exists
+          this._fetch(`/api/sync/${saved.code}`)
+            .then(snapshot => {
+              this._becomeHost(saved.code, saved.token, snapshot.released);
+              this.publish();
+            })
+            .catch(() => { this._forgetHost(); this._render(); });
+        } else if (code) {
+          this.join(code);
+        } else {
+          this._render();
+        }
+      })
+      .catch(() => {});
+  }
+
+  _becomeHost(code, token, released) {
+    this.role = 'host';
+    this.code = code;
+    this._token = token;
+    this.released = !!released;
+    this._error = '';
+    try {
+      sessionStorage.setItem(this._storageKey(), JSON.stringify({ code, token }));
+    } catch (e) {
+      // Storage unavailable — the session just won't survive a reload.
+    }
+    this._render();
+  }
+
+  _savedHost() {
+    try {
+      return JSON.parse(sessionStorage.getItem(this._storageKey()));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _forgetHost() {
+    this._token = null;
+    try {
+      sessionStorage.removeItem(this._storageKey());
+    } catch (e) {
+      // nothing stored
+    }
+  }
+
+  _storageKey() { return `live-sync:host:${this.demo}`; }
+
+  // POST the latest state, then wait PUBLISH_INTERVAL_MS before the next,
+  // so dragging a slider sends a few updates a second rather than dozens.
+  _flush() {
+    this._dirty = false;
+    this._sending = true;
+    this._post({ state: this.state() })
+      .catch(err => this._fail(err))
+      .then(() => setTimeout(() => {
+        this._sending = false;
+        if (this._dirty) this._flush();
+      }, LiveSync.PUBLISH_INTERVAL_MS));
+  }
+
+  _post(body) {
+    return this._fetch(`/api/sync/${this.code}`, { method: 'POST', body, token: true });
+  }
+
+  _listen() {
+    this._events = new EventSource(`${this.base}/api/sync/${encodeURIComponent(this.code)}/events`);
+    this._events.onmessage = ev => this._receive(JSON.parse(ev.data));
+    // EventSource reconnects by itself; just say so meanwhile.
+    this._events.onerror = () => {
+      if (this.role !== 'follower') return;
+      this._error = 'Connection lost \u2014 reconnecting\u2026';
+      this._render();
+    };
+  }
+
+  _receive(snapshot) {
+    if (this.role !== 'follower') return;
+    this._error = '';
+    if (snapshot.ended) {
+      this.leave();
+      this._error = 'The instructor ended the live session.';
+      this._render();
+      return;
+    }
+    this.released = snapshot.released;
+    if (!this.released) {
+      for (const [key, value] of Object.entries(snapshot.state || {})) {
+        if (this.controls[key]) this.controls[key].value = value;
+      }
+      this.apply();
+    }
+    this._setLocked(!this.released);
+    this._render();
+  }
+
+  _setLocked(locked) {
+    for (const input of Object.values(this.controls)) input.disabled = locked;
+  }
+
+  _fail(err) {
+    this._error = err.message;
+    this._render();
+  }
+
+  _fetch(path, opts) {
+    const o = opts || {};
+    const headers = {};
+    if (o.body) headers['Content-Type'] = 'application/json';
+    if (o.token) headers['X-Sync-Token'] = this._token;
+    return fetch(this.base + path, {
+      method: o.method || 'GET',
+      headers,
+      body: o.body ? JSON.stringify(o.body) : undefined
+    }).then(res => {
+      if (res.status === 204) return {};
+      return res.json().catch(() => ({})).then(data => {
+        if (!res.ok) throw new Error(data.error || `server responded ${res.status}`);
+        return data;
+      });
+    });
+  }
+
+  /* ── panel ─────────────────────────────────────────── */
+
+  _render() {
+    if (!this.container) return;
+    const el = (tag, props, children) => {
+      const node = Object.assign(document.createElement(tag), props || {});
+      node.append(...(children || []));
+      return node;
+    };
+    const button = (text, onclick, className) => el('button', { type: 'button', className: className || 'live-btn', textContent: text, onclick });
+
+    const parts = [];
+    if (this.role === 'host') {
+      parts.push(
+        el('p', { className: 'live-status' }, [
+          'Live \u00b7 join code ', el('strong', { className: 'live-code', textContent: this.code }),
+          this.released ? ' \u00b7 students exploring' : ' \u00b7 students following'
+        ]),
+        el('div', { className: 'live-row' }, [
+          this.released
+            ? button('Take Control', () => this.setReleased(false))
+            : button('Release Control', () => this.setReleased(true)),
+          button('End Session', () => this.leave())
+        ])
+      );
+    } else if (this.role === 'follower') {
+      parts.push(
+        el('p', { className: 'live-status', textContent: this.released
+          ? `Live session ${this.code}: explore on your own.`
+          : `Live session ${this.code}: following the instructor.` }),
+        el('div', { className: 'live-row' }, [button('Leave', () => this.leave())])
+      );
+    } else {
+      const input = el('input', {
+        type: 'text', className: 'live-input', placeholder: 'Join code', maxLength: 8,
+        onkeydown: ev => { if (ev.key === 'Enter') this.join(input.value); }
+      });
+      input.setAttribute('aria-label', 'Live session join code');
+      parts.push(el('div', { className: 'live-row' }, [
+        input,
+        button('Join', () => this.join(input.value)),
+        button('Host Live Session', () => this.host())
+      ]));
+    }
+    if (this._error) parts.push(el('p', { className: 'live-error', textContent: this._error }));
+    this.container.replaceChildren(...parts);
+  }
+}
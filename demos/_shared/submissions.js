@@ -0,0 +1,149 @@
+/**
+ * SubmissionClient — lets a demo hand student work to app.py's
+ * submissions API (stored in SQLite, reviewed on /instructor).
+ *
+ * Opt-in and offline-safe: available() resolves to false when the page
+ * is opened as a file or served by anything other than app.py, and
+ * attachButton() then renders nothing, so the demo works as before.
+ *
+ * The payload is the demo's own record. The instructor dashboard reads
+ * scores from it where present: `score: {points, maxPoints}` and
+ * `challenges: [{title, status, score}]` (AssessmentEngine's attempt
+ * record already has this shape).
+ *
+ * Exams: the instructor releases an exam's feedback from the dashboard;
+ * watchRelease() polls for that and calls back once it has happened.
+ *
+ * Usage:
+ *   const submissions = new SubmissionClient({ demo: 'feedback-control' });
+ *   submissions.attachButton(document.getElementById('submitBar'), () => record);
+ *   // or directly:
+ *   submissions.available().then(ok => ok && submissions.submit(record));
+ *   submissions.watchRelease(bankId, () => engine.releaseFeedback());
+ *
+ * Options:
+ *   demo     the demo's folder name (required)
+ *   student  student id; otherwise ?student=, the remembered id, or a prompt
+ *   base     URL prefix of the app (default '' — same origin)
+ */
+
+/* eslint-disable no-unused-vars */
+class SubmissionClient {
+  static get STORAGE_KEY() { return 'demo-submissions:student'; }
+  static get RELEASE_POLL_MS() { return 30000; }
+
+  constructor(opts) {
+    const o = opts || {};
+    this.demo = o.demo;
+    this.base = (o.base || '').replace(/\/$/, '');
+    this._student = o.student || null;
+    this._available = null;   // cached probe promise
+  }
+
+  /** True when served by app.py with the submissions API. */
+  available() {
+    if (!this._available) {
+      this._available = !location.protocol.startsWith('http')
+        ? Promise.resolve(false)
+        : fetch(this.base + '/api/status')
+          .then(res => (res.ok ? res.json() : {}))
+          .then(data => !!data.submissions)
+          .catch(() => false);
+    }
+    return this._available;
+  }
+
+  /**
+   * The student id to submit under, asking once and remembering it in
+   * localStorage. Returns null if the student cancels the prompt.
+   */
+  studentId() {
+    if (this._student) return this._student;
+    const fromUrl = new URLSearchParams(location.search).get('student');
+    let id = fromUrl || this._load();
+    if (!id) id = (window.prompt('Your student id (e.g. your email) for submitting work:') || '').trim();
+    if (!id) return null;
+    this._student = id;
+    this._save(id);
+    return id;
+  }
+
+  /** POST a payload; resolves to {id, submitted_at}. */
+  submit(payload) {
+    const student = this.studentId();
+    if (!student) return Promise.reject(new Error('No student id'));
+    return fetch(this.base + '/api/submissions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ student, demo: this.demo, payload })
+    }).then(res => res.json().catch(() => ({})).then(data => {
+      if (!res.ok) throw new Error(data.error || `server responded ${res.status}`);
+      return data;
+    }));
+  }
+
+  /**
+   * Add a "Submit" button and status line to `container` once the API is
+   * known to be available. getPayload() is called on each click and may
+   * return null to cancel. opts: {label, className}.
+   */
+  attachButton(container, getPayload, opts) {
+    const o = opts || {};
+    return this.available().then(ok => {
+      if (!ok) return null;
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = o.className || 'submit-btn';
+      button.textContent = o.label || 'Submit to Instructor';
+      const status = document.createElement('span');
+      status.className = 'submit-status';
+      status.setAttribute('role', 'status');
+      button.addEventListener('click', () => {
+        const payload = getPayload();
+        if (!payload) return;
+        button.disabled = true;
+        status.textContent = 'Submitting\u2026';
+        this.submit(payload)
+          .then(data => { status.textContent = `Submitted as ${this._student} at ${new Date(data.submitted_at).toLocaleTimeString()}.`; })
+          .catch(err => { status.textContent = 'Submit failed: ' + err.message; })
+          .finally(() => { button.disabled = false; });
+      });
+      container.append(button, status);
+      container.hidden = false;
+      return button;
+    });
+  }
+
+  /**
+   * Poll whether the instructor has released feedback for `exam` (an id
+   * such as the bank id) and call onRelease() once it has. Does nothing
+   * when the API is not available; a failed poll is retried.
+   */
+  watchRelease(exam, onRelease) {
+    const url = `${this.base}/api/exams/${encodeURIComponent(this.demo)}/${encodeURIComponent(exam)}`;
+    const poll = () => fetch(url)
+      .then(res => (res.ok ? res.json() : {}))
+      .catch(() => ({}))
+      .then(data => {
+        if (data.released) onRelease();
+        else setTimeout(poll, SubmissionClient.RELEASE_POLL_MS);
+      });
+    return this.available().then(ok => { if (ok) poll(); });
+  }
+
+  _load() {
+    try {
+      return localStorage.getItem(SubmissionClient.STORAGE_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _save(id) {
+    try {
+      localStorage.setItem(SubmissionClient.STORAGE_KEY, id);
+    } catch (e) {
+      // Storage unavailable — the id is kept for this page only.
+    }
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * UrlState — keeps a demo's parameters in the URL hash, so the address bar
+ * is always a permalink to what is on screen (#kp=2.5&m=1&mode=singleshot).
+ *
+ * The hash is used rather than the query string because it works the same
+ * when a demo is opened straight from disk, and changing it never reloads
+ * the page. Pasting a different link into an open tab applies it too.
+ *
+ * Each field is either an <input> (its value is read and written) or a
+ * {get, set} pair for state that lives in the demo's own variables. Values
+ * are strings; set() should ignore anything it does not recognise, since a
+ * link may be hand-edited or come from an older version of the demo.
+ *
+ * Usage:
+ *   const urlState = new UrlState({
+ *     fields: {
+ *       kp: kpSlider,
+ *       mode: { get: () => mode, set: v => setMode(v) },
+ *     },
+ *     apply: readSliders,    // after a link is pasted into the open page
+ *   });
+ *   urlState.load();         // at startup, before the demo reads its controls
+ *   function readSliders() { ...; urlState.save(); }
+ *
+ * load() only sets the fields; the demo's own start-up code then reads
+ * them as usual. save() is throttled, so calling it on every slider
+ * movement or animation frame is fine.
+ */
+
+/* eslint-disable no-unused-vars */
+class UrlState {
+  static get SAVE_INTERVAL_MS() { return 250; }
+
+  constructor(cfg) {
+    this.fields = cfg.fields;
+    this.apply = cfg.apply || (() => {});
+    this._applying = false;   // setting fields from the hash; don't save
+    this._timer = null;
+    this._written = null;     // last hash we wrote (to ignore its hashchange)
+
+    window.addEventListener('hashchange', () => {
+      if (location.hash.slice(1) === this._written) return;
+      if (!this.load()) return;
+      this.apply();
+      this.save();   // fill in whatever the pasted link left out
+    });
+  }
+
+  /* ── public API ────────────────────────────────────── */
+
+  /** Current values, keyed as in `fields`. */
+  state() {
+    const state = {};
+    for (const [key, field] of Object.entries(this.fields)) {
+      state[key] = String(field.get ? field.get() : field.value);
+    }
+    return state;
+  }
+
+  /** Set the fields from the hash; true if it held any of them. */
+  load() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    let found = false;
+    this._applying = true;
+    try {
+      for (const [key, field] of Object.entries(this.fields)) {
+        if (!params.has(key)) continue;
+        found = true;
+        const value = params.get(key);
+        if (field.set) field.set(value);
+        else field.value = value;
+      }
+    } finally {
+      this._applying = false;
+    }
+    return found;
+  }
+
+  /** Write the current values to the hash (throttled). */
+  save() {
+    if (this._applying || this._timer) return;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._write();
+    }, UrlState.SAVE_INTERVAL_MS);
+  }
+
+  /** The full permalink for the current state. */
+  link() {
+    return location.href.split('#')[0] + '#' + this._hash();
+  }
+
+  /* ── internals ─────────────────────────────────────── */
+
+  _hash() {
+    return new URLSearchParams(this.state()).toString();
+  }
+
+  // replaceState keeps every slider movement out of the back-button
+  // history. Some browsers refuse it for file:// pages; replacing the
+  // location's hash does the same job there.
+  _write() {
+    const hash = this._hash();
+    if (hash === location.hash.slice(1)) return;
+    this._written = hash;
+    try {
+      history.replaceState(history.state, '', '#' + hash);
+    } catch (e) {
+      location.replace('#' + hash);
+    }
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * The built-in Figure Critique bank: the E80 rubric and seven figures with
+ * their answer keys. A plain script rather than JSON so the page still opens
+ * from disk; ?bank=<url> loads a JSON bank instead (see README.md).
+ *
+ * Validated against zones.js by bank.test.js.
+ */
+
+/* eslint-disable no-unused-vars */
+
+// ═══════════════════════════════════════════════════════════════
+//  RUBRIC (E80 guidelines)
+// ═══════════════════════════════════════════════════════════════
+
+const RUBRIC = [
+  { id: 'y-axis-label', category: 'Axes', shortName: 'Y-Axis Label', description: 'Y-axis must have a clear label with correct units in parentheses.' },
+  { id: 'x-axis-label', category: 'Axes', shortName: 'X-Axis Label', description: 'X-axis must have a clear label with correct units in parentheses.' },
+  { id: 'tick-legibility', category: 'Axes', shortName: 'Tick Marks', description: 'Tick marks and labels must be legible — not too small or crowded.' },
+  { id: 'visual-clarity', category: 'Presentation', shortName: 'Visual Clarity', description: 'Lines must be thick enough to see. Colours should be distinguishable.' },
+  { id: 'overcrowding', category: 'Presentation', shortName: 'Overcrowding', description: 'Too many series or data make the plot hard to read.' },
+  { id: 'data-trimming', category: 'Data', shortName: 'Data Trimmed', description: 'Remove irrelevant leading/trailing data before plotting \u2014 e.g., a 10-second recording where the first 4 seconds are flat noise before the experiment starts.' },
+  { id: 'legend', category: 'Presentation', shortName: 'Legend', description: 'Multiple series need a legend, placed so it doesn\'t obscure data.' },
+  { id: 'zoom-level', category: 'Data', shortName: 'Zoom Level', description: 'Axis range is too wide relative to the signal, making features tiny \u2014 e.g., data spans 22\u201327 \u00b0C but the y-axis shows 0\u201380 \u00b0C.' },
+  { id: 'caption', category: 'Text', shortName: 'Caption', description: 'Figure must have a numbered caption (e.g. "Figure 1: ...") that summarises the content.' },
+  { id: 'supporting-text', category: 'Text', shortName: 'Supporting Text', description: 'Report text must reference the figure by number and explain what the reader should notice.' },
+  { id: 'title', category: 'Text', shortName: 'Title', description: 'Figure should have a concise, descriptive title on the plot that tells the reader what is shown.' },
+];
+
+// ═══════════════════════════════════════════════════════════════
+//  CHALLENGE BANK (7 challenges)
+// ═══════════════════════════════════════════════════════════════
+
+const CHALLENGES = [
+  // ── 1. Well-Made Figure (Tutorial) ──
+  {
+    type: 'tutorial',
+    title: 'Well-Made Figure',
+    difficulty: 'easy',
+    plotConfig: {
+      seed: 707,
+      title: 'Depth Step Response Under Proportional Control',
+      xLabel: 'Time (s)',
+      yLabel: 'Depth (m)',
+      series: [
+        { generator: 'stepResponse', n: 300, tau: 1.0, overshoot: 0.1, finalVal: 1.5, label: 'Measured', color: '#2266cc' },
+        { generator: 'linearWithOutliers', n: 300, slope: 0, intercept: 1.5, noise: 0, label: 'Target', color: '#cc4422', lineWidth: 1.5 },
+      ],
+      legend: { show: true },
+    },
+    caption: 'Figure 5: Depth response of the underwater robot during a step command to 1.5 m. The proportional controller achieves the target depth with approximately 10% overshoot.',
+    supportingText: 'Figure 5 shows the depth tracking response. The robot reaches the commanded depth of 1.5 m within 3 seconds, with a single overshoot of approximately 10%. The steady-state error is less than 1 cm, confirming adequate proportional gain.',
+    answerKey: [],
+    hints: [],
+    tutorialSteps: [
+      { zoneId: 'title', label: 'Title', text: 'This figure has a clear, descriptive title: "Depth Step Response Under Proportional Control". A good title tells the reader exactly what the figure shows \u2014 the system being measured, the type of experiment, and key conditions.' },
+      { zoneId: 'y-axis', label: 'Y-Axis', text: 'The y-axis is labeled "Depth (m)" \u2014 a clear quantity with SI units in parentheses. The tick marks are legible and the range tightly frames the data, making features easy to see.' },
+      { zoneId: 'x-axis', label: 'X-Axis', text: 'The x-axis uses "Time (s)" with the correct SI abbreviation. The range matches the duration of the experiment with no wasted space.' },
+      { zoneId: 'plot-area', label: 'Plot Area', text: 'The lines are thick enough to see clearly. Only two series are shown, avoiding overcrowding. The data is trimmed to the relevant time window \u2014 no flat noise before the step.' },
+      { zoneId: 'legend', label: 'Legend', text: 'The legend identifies both series ("Measured" and "Target") and is placed where it doesn\'t obscure any data points.' },
+      { zoneId: 'caption', label: 'Caption', text: 'The caption follows the "Figure N: ..." format and provides a quantitative summary \u2014 it mentions the 1.5 m target depth and the ~10% overshoot.' },
+      { zoneId: 'supporting-text', label: 'Supporting Text', text: 'The body text references "Figure 5" by number and highlights specific observations: the 3-second settling time, 10% overshoot, and <1 cm steady-state error.' },
+    ],
+  },
+
+  // ── 2. Accelerometer Noise Floor (Easy) ──
+  {
+    title: 'Accelerometer Noise Floor',
+    difficulty: 'easy',
+    plotConfig: {
+      seed: 101,
+      xLabel: '',  // MISSING x-label
+      yLabel: 'Output',  // VAGUE y-label (no units)
+      tickFontSize: 7,   // TOO SMALL ticks
+      series: [
+        { generator: 'sineWithNoise', n: 500, freq: 3, amp: 0.5, noise: 0.15, label: null, color: '#2266cc' },
+        { generator: 'sineWithNoise', n: 500, freq: 3, amp: 0.3, noise: 0.2, phase: 1.2, label: null, color: '#cc4422' },
+      ],
+      legend: { show: false },   // NO LEGEND for 2 series
+      xMin: -0.2, xMax: 1.2,    // UNTRIMMED (extra empty space)
+    },
+    caption: 'Noise floor measurements from the accelerometer.',  // BAD: no figure number, vague
+    supportingText: 'The data shows the output of the accelerometer during the noise floor test. Some oscillation is visible in the signals.',
+    answerKey: [
+      { rubricId: 'x-axis-label', zoneId: 'x-axis', explanation: 'The x-axis has no label at all. It should state "Time (s)" or the relevant quantity and units.' },
+      { rubricId: 'y-axis-label', zoneId: 'y-axis', explanation: '"Output" is vague — it should specify "Acceleration (m/s\u00b2)" or similar with proper units.' },
+      { rubricId: 'tick-legibility', zoneId: ['x-axis', 'y-axis'], explanation: 'The tick font size is too small (7px) to be easily readable.' },
+      { rubricId: 'legend', zoneId: 'plot-area', explanation: 'There are two series plotted but no legend to identify them.' },
+      { rubricId: 'caption', zoneId: 'caption', explanation: 'The caption is missing a figure number (should be "Figure N: ...") and is too vague.' },
+      { rubricId: 'data-trimming', zoneId: 'plot-area', explanation: 'There is unnecessary empty space before and after the data — the x-range should be trimmed.' },
+      { rubricId: 'title', zoneId: 'title', explanation: 'The figure has no title. It should have a concise, descriptive title like "Accelerometer Noise Floor Measurements".' },
+    ],
+    hints: [
+      'Look carefully at the axis labels — are they complete?',
+      'How many data series are shown? Can you tell which is which?',
+      'Check the tick mark font size — is it legible?',
+      'Does the caption follow the "Figure N: ..." format?',
+    ],
+  },
+
+  // ── 2. Temperature vs Time (Easy) ──
+  {
+    title: 'Temperature vs Time',
+    difficulty: 'easy',
+    plotConfig: {
+      seed: 202,
+      title: 'Cool-Down Temperature Readings',
+      xLabel: 'Time (s)',
+      yLabel: 'Temperature',  // Missing units
+      series: [
+        { generator: 'exponentialDecay', n: 200, tau: 10, amp: 5, offset: 22, noise: 0.3, label: 'Sensor A', color: '#2266cc' },
+        { generator: 'exponentialDecay', n: 200, tau: 12, amp: 4, offset: 22.5, noise: 0.3, label: 'Sensor B', color: '#cc4422' },
+      ],
+      legend: { show: true, x: 160, y: 60 },  // Legend OVER data area
+      yMin: 0, yMax: 80,    // BAD ZOOM — signal is 22-27 but axis goes to 80
+    },
+    caption: 'Figure 1: Temperature readings during cool-down.',
+    supportingText: 'Figure 1 shows the temperature measurements from two sensors during the cool-down phase. Sensor A cools slightly faster than Sensor B, consistent with its lower thermal mass.',
+    answerKey: [
+      { rubricId: 'y-axis-label', zoneId: 'y-axis', explanation: '"Temperature" lacks units — it should be "Temperature (\u00b0C)" or "Temperature (K)".' },
+      { rubricId: 'legend', zoneId: 'legend', explanation: 'The legend is placed directly over the data region, making it hard to read the underlying traces.' },
+      { rubricId: 'zoom-level', zoneId: 'plot-area', explanation: 'The y-axis goes from 0 to 80, but the signal only spans about 22\u201327. The interesting features are tiny. Zoom in on the relevant range.' },
+    ],
+    hints: [
+      'Check whether the y-axis label has proper units.',
+      'Is the legend position optimal?',
+      'Can you clearly see the difference between the two traces?',
+    ],
+  },
+
+  // ── 3. Frequency Response (Medium) ──
+  {
+    title: 'Frequency Response',
+    difficulty: 'medium',
+    plotConfig: {
+      seed: 303,
+      title: 'Frequency Response',
+      xLabel: 'Frequency (Hz)',
+      yLabel: 'Magnitude (dB)',
+      series: [
+        { generator: 'sineWithNoise', n: 200, freq: 0.5, amp: 3, noise: 0.4, label: 'Ch 1', color: '#2266cc' },
+        { generator: 'sineWithNoise', n: 200, freq: 0.7, amp: 2.5, noise: 0.4, label: 'Ch 2', color: '#cc4422' },
+        { generator: 'sineWithNoise', n: 200, freq: 0.3, amp: 2, noise: 0.4, label: 'Ch 3', color: '#22aa44' },
+        { generator: 'sineWithNoise', n: 200, freq: 0.9, amp: 2.8, noise: 0.4, label: 'Ch 4', color: '#aa44cc' },
+        { generator: 'sineWithNoise', n: 200, freq: 0.6, amp: 2.2, noise: 0.4, label: 'Ch 5', color: '#cc8800' },
+      ],
+      legend: { show: true, x: null, y: null },
+      xMin: -0.3, xMax: 1.3,  // UNTRIMMED
+    },
+    caption: 'Frequency response of the five channels, it shows the magnitude in dB.',  // Grammar issues, no figure number
+    supportingText: 'The frequency response was measured for all channels. There is variation across the channels.',
+    answerKey: [
+      { rubricId: 'overcrowding', zoneId: 'plot-area', explanation: 'Five overlapping series with similar amplitudes makes the plot very hard to read. Consider splitting into subplots or reducing series.' },
+      { rubricId: 'data-trimming', zoneId: 'plot-area', explanation: 'There is empty space on both sides of the data (x goes from -0.3 to 1.3 for data spanning 0 to 1).' },
+      { rubricId: 'caption', zoneId: 'caption', explanation: 'The caption is missing a figure number and has a run-on sentence.' },
+      { rubricId: 'supporting-text', zoneId: 'supporting-text', explanation: 'The supporting text is vague — it should specifically describe what the reader should observe and reference the figure by number.' },
+      { rubricId: 'title', zoneId: 'title', explanation: '"Frequency Response" is too vague — it should specify what system or component, e.g., "Frequency Response of Amplifier Channels 1\u20135".' },
+    ],
+    hints: [
+      'Count the number of series — is the plot easy to read?',
+      'Look at the x-axis range vs. where the data actually is.',
+      'Read the caption carefully — does it follow proper format?',
+      'Does the supporting text tell you anything specific?',
+    ],
+  },
+
+  // ── 4. Pressure Calibration (Medium) ──
+  {
+    title: 'Pressure Calibration',
+    difficulty: 'medium',
+    plotConfig: {
+      seed: 404,
+      title: 'Calibration Results',
+      xLabel: 'Applied Pressure (kPa)',
+      yLabel: 'Sensor Reading (V)',
+      lineWidth: 0.8,  // TOO THIN
+      series: [
+        { generator: 'linearWithOutliers', n: 50, slope: 2.5, intercept: 0.1, noise: 0.05, outlierRate: 0.05, label: 'Calibration', color: '#2266cc' },
+      ],
+      legend: { show: false },
+      yMin: -5, yMax: 10,   // BAD ZOOM — data is 0-2.6 but axis shows -5 to 10
+      xMin: -2, xMax: 3,    // BAD ZOOM
+    },
+    caption: 'Figure 2: Pressure sensor calibration curve.',
+    supportingText: 'A calibration was performed. The sensor output looks linear.',
+    answerKey: [
+      { rubricId: 'zoom-level', zoneId: 'plot-area', explanation: 'The axis ranges are far too wide — the data occupies a tiny region. Zoom in to make the calibration curve fill the plot.' },
+      { rubricId: 'visual-clarity', zoneId: 'plot-area', explanation: 'The line weight is too thin (0.8px) making the data hard to see, especially against the grid.' },
+      { rubricId: 'supporting-text', zoneId: 'supporting-text', explanation: '"A calibration was performed. The sensor output looks linear" is vague. It should reference Figure 2 and describe the slope, R\u00b2 value, or calibration equation.' },
+      { rubricId: 'title', zoneId: 'title', explanation: '"Calibration Results" is too vague — it should specify the sensor and measured quantity, e.g., "Pressure Sensor Calibration: Output Voltage vs. Applied Pressure".' },
+    ],
+    hints: [
+      'How much of the plot area does the actual data occupy?',
+      'Can you easily see the data line against the grid?',
+      'Does the report text help the reader understand the figure?',
+    ],
+  },
+
+  // ── 5. Motor Step Response (Medium) ──
+  {
+    title: 'Motor Step Response',
+    difficulty: 'medium',
+    plotConfig: {
+      seed: 505,
+      title: 'PID Step Response: Angular Velocity',
+      xLabel: 'Time (sec)',   // Wrong unit format: should be "s" not "sec"
+      yLabel: 'Angular Velocity (rad/s)',
+      series: [
+        { generator: 'stepResponse', n: 400, tau: 0.5, overshoot: 0.15, finalVal: 10, label: 'Motor output', color: '#2266cc' },
+        { generator: 'linearWithOutliers', n: 400, slope: 0, intercept: 10, noise: 0, label: 'Reference', color: '#cc4422', lineWidth: 1.5 },
+      ],
+      legend: { show: true, x: 72, y: 34 },  // Legend in top-left, partially over data
+    },
+    caption: 'Step response of the DC motor under PID control.',  // Missing figure number
+    supportingText: 'Figure 3 shows the motor step response. The system reaches steady state with approximately 15% overshoot and settles within about 2 seconds.',
+    answerKey: [
+      { rubricId: 'x-axis-label', zoneId: 'x-axis', explanation: 'The x-axis uses "sec" instead of the SI abbreviation "s". Proper format: "Time (s)".' },
+      { rubricId: 'legend', zoneId: 'legend', explanation: 'The legend is placed in the top-left where it overlaps with the step response overshoot region.' },
+      { rubricId: 'caption', zoneId: 'caption', explanation: 'The caption is missing a figure number. It should start with "Figure N: ...".' },
+    ],
+    hints: [
+      'Check the axis labels carefully — are the units in standard SI format?',
+      'Does the legend overlap any important features of the data?',
+      'Compare the caption to the E80 caption format requirements.',
+    ],
+  },
+
+  // ── 6. Vibration Spectrum (Hard) ──
+  {
+    title: 'Vibration Spectrum',
+    difficulty: 'hard',
+    plotConfig: {
+      seed: 606,
+      xLabel: 'Frequency (Hz)',
+      yLabel: 'Amplitude',  // Technically present but ambiguous (no units for spectral amplitude)
+      series: [
+        { generator: 'sineWithNoise', n: 300, freq: 2, amp: 1.0, noise: 0.15, label: 'Run 1', color: '#2266cc' },
+        { generator: 'sineWithNoise', n: 300, freq: 2, amp: 0.8, noise: 0.15, phase: 0.3, label: 'Run 2', color: '#cc4422' },
+        { generator: 'sineWithNoise', n: 300, freq: 2, amp: 0.9, noise: 0.15, phase: 0.7, label: 'Run 3', color: '#22aa44' },
+        { generator: 'sineWithNoise', n: 300, freq: 2, amp: 1.1, noise: 0.15, phase: 1.1, label: 'Run 4', color: '#aa44cc' },
+      ],
+      legend: { show: true, x: null, y: null, width: 130 },
+      xMin: -0.1, xMax: 1.1,  // Slightly untrimmed
+    },
+    caption: 'Figure 4: Vibration spectrum from the shaker table test.',
+    supportingText: 'The vibration spectrum was collected over four runs. The peaks are consistent across measurements, confirming the dominant frequency of the structure.',
+    answerKey: [
+      { rubricId: 'y-axis-label', zoneId: 'y-axis', explanation: '"Amplitude" is ambiguous for a spectrum — it should specify units like "Acceleration (g)" or "Displacement (mm)" and clarify if it\'s RMS, peak, or PSD.' },
+      { rubricId: 'overcrowding', zoneId: 'plot-area', explanation: 'Four very similar traces are hard to distinguish. Consider showing mean \u00b1 std, or using an inset for one representative run.' },
+      { rubricId: 'data-trimming', zoneId: 'plot-area', explanation: 'The x-axis extends slightly beyond the data range on both sides.' },
+      { rubricId: 'supporting-text', zoneId: 'supporting-text', explanation: 'The supporting text doesn\'t reference the figure by number ("Figure 4") and doesn\'t describe specific frequencies or amplitudes the reader should notice.' },
+      { rubricId: 'title', zoneId: 'title', explanation: 'The figure has no title. It should have a descriptive title like "Vibration Spectrum from Shaker Table Test".' },
+    ],
+    hints: [
+      'The y-axis label is present — but is it specific enough for a scientific report?',
+      'Are all four runs really needed on one plot?',
+      'Read the supporting text — does it reference the figure properly and give specifics?',
+      'Check whether the data range exactly matches the x-axis range.',
+    ],
+  },
+
+];
+
+const BANK = {
+  schemaVersion: 1,
+  id: 'e80-figures',
+  title: 'E80 Figure Critique',
+  rubric: RUBRIC,
+  challenges: CHALLENGES,
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = { BANK };
@@ -0,0 +1,197 @@
+/**
+ * Replays scripted critique sessions against the built-in bank (bank.js)
+ * through AssessmentCore, the engine's DOM-free grading, so answer-key edits
+ * that change outcomes or points show up here. No browser needed:
+ *
+ *   node --test demos/figure-critique/bank.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AssessmentCore } = require('../_shared/assessment-core.js');
+const { AssessmentScorer } = require('../_shared/assessment-scoring.js');
+const { AssessmentBank } = require('../_shared/assessment-bank.js');
+const { BANK: bank } = require('./bank.js');
+const { computeFigureZones, textZones } = require('./zones.js');
+
+// The page's scoring options (index.html)
+const SCORING = { pointsPerChallenge: 10, falsePositivePenalty: 0.5, hintPenalty: 0.05 };
+
+// The page's zones at the engine's nominal canvas size
+const figureZones = ch => [...computeFigureZones(800, 450, ch), ...textZones()];
+
+function newCore(opts) {
+  const challenges = JSON.parse(JSON.stringify(bank.challenges));
+  return new AssessmentCore({ challenges, scoring: SCORING, zonesFor: idx => figureZones(challenges[idx]), ...opts });
+}
+
+const indexOf = title => {
+  const idx = bank.challenges.findIndex(ch => ch.title === title);
+  assert.ok(idx >= 0, `no challenge "${title}" in bank.js`);
+  return idx;
+};
+
+// Flag every answer-key issue of a challenge in its (first) zone
+function findAll(core, idx) {
+  for (const k of core.challenges[idx].answerKey) {
+    core.addFinding(idx, k.rubricId, Array.isArray(k.zoneId) ? k.zoneId[0] : k.zoneId, 0, 0);
+  }
+}
+
+test('the built-in bank is valid', () => {
+  assert.deepEqual(AssessmentBank.validate(bank, figureZones), []);
+  assert.equal(bank.id, 'e80-figures');
+  assert.equal(bank.challenges.filter(ch => ch.type === 'tutorial').length, 1);
+});
+
+test('validation reports a broken answer key by path', () => {
+  const broken = JSON.parse(AssessmentBank.serialize(bank));
+  const idx = indexOf('Temperature vs Time');
+  broken.challenges[idx].answerKey[0].zoneId = 'legnd';
+  broken.challenges[idx].answerKey[1].explanation = '';
+  assert.deepEqual(AssessmentBank.validate(broken, figureZones), [
+    `challenges[${idx}].answerKey[0].zoneId: unknown zone "legnd" (known: title, y-axis, x-axis, plot-area, legend, caption, supporting-text)`,
+    `challenges[${idx}].answerKey[1].explanation: missing`,
+  ]);
+});
+
+test('finding every issue earns full points', () => {
+  const core = newCore();
+  const idx = indexOf('Accelerometer Noise Floor');
+  findAll(core, idx);
+  const { review, score, firstCheck } = core.check(idx);
+  assert.equal(firstCheck, true);
+  assert.equal(review.correct.length, 7);
+  assert.deepEqual(review.missed, []);
+  assert.equal(score.points, 10);
+  assert.equal(core.stateFor(idx).reviewMode, true);
+});
+
+test('an issue accepted in several zones matches in any of them', () => {
+  const core = newCore();
+  const idx = indexOf('Accelerometer Noise Floor');
+  core.addFinding(idx, 'tick-legibility', 'y-axis', 0, 0);
+  core.addFinding(idx, 'tick-legibility', 'x-axis', 0, 0);
+  const { review } = core.check(idx);
+  // One key entry, so the second flag is a false positive
+  assert.equal(review.correct.length, 1);
+  assert.equal(review.incorrect.length, 1);
+});
+
+test('removed findings do not count and false positives cost half an issue', () => {
+  const core = newCore();
+  const idx = indexOf('Temperature vs Time');
+  core.addFinding(idx, 'y-axis-label', 'y-axis', 30, 200);
+  core.addFinding(idx, 'zoom-level', 'plot-area', 300, 200);
+  core.addFinding(idx, 'title', 'title', 300, 10);
+  const stray = core.addFinding(idx, 'x-axis-label', 'x-axis', 300, 420);
+  assert.equal(core.removeFinding(idx, stray.id), stray);
+  assert.equal(core.removeFinding(idx, stray.id), null);
+
+  const { review, score } = core.check(idx);
+  assert.deepEqual(review.correct.map(c => c.key.rubricId), ['y-axis-label', 'zoom-level']);
+  assert.deepEqual(review.incorrect.map(f => f.rubricId), ['title']);
+  assert.deepEqual(review.missed.map(k => k.rubricId), ['legend']);
+  // (2 found - 0.5 x 1 false positive) / 3 issues x 10 points
+  assert.equal(score.points, 5);
+  assert.deepEqual([score.tp, score.fp, score.fn], [2, 1, 1]);
+});
+
+test('each revealed hint costs 5% of the points', () => {
+  const core = newCore();
+  const idx = indexOf('Frequency Response');
+  assert.equal(core.revealHint(idx), 0);
+  assert.equal(core.revealHint(idx), 1);
+  findAll(core, idx);
+  assert.equal(core.check(idx).score.points, 9);
+
+  const hints = core.challenges[idx].hints.length;
+  while (core.revealHint(idx) >= 0);
+  assert.equal(core.stateFor(idx).hintsRevealed, hints);
+  assert.equal(core.revealHint(idx), -1);
+  assert.equal(core.check(idx).firstCheck, false);
+});
+
+test('a legend flagged in the plot area needs parent matching', () => {
+  const idx = indexOf('Temperature vs Time');
+  const exact = newCore();
+  exact.addFinding(idx, 'legend', 'plot-area', 200, 80);
+  assert.equal(exact.check(idx).review.correct.length, 0);
+
+  const parent = newCore({ matchMode: 'parent' });
+  parent.addFinding(idx, 'legend', 'plot-area', 200, 80);
+  assert.equal(parent.check(idx).review.correct.length, 1);
+});
+
+test('the session total leaves out the tutorial and counts unchecked challenges as zero', () => {
+  const core = newCore();
+  const critiques = bank.challenges.filter(ch => ch.type !== 'tutorial').length;
+  findAll(core, indexOf('Motor Step Response'));
+  core.check(indexOf('Motor Step Response'));
+  assert.equal(core.score().maxPoints, critiques * 10);
+  assert.equal(core.score().points, 10);
+  assert.equal(core.isFinished(), false);
+
+  // An exam submission checks everything at once
+  bank.challenges.forEach((ch, i) => { if (ch.type !== 'tutorial') core.markChecked(i); });
+  assert.equal(core.isFinished(), true);
+  const summary = core.summary();
+  assert.equal(summary[indexOf('Vibration Spectrum')].status, 'completed');
+  assert.equal(summary[indexOf('Vibration Spectrum')].missed, 5);
+  assert.equal(summary[0].status, 'skipped');
+  assert.equal(core.score().points, 10);
+
+  const scorer = new AssessmentScorer(SCORING);
+  const entries = core.challenges.map((challenge, i) => ({ challenge, score: summary[i].score || null }))
+    .filter(({ challenge }) => challenge.type !== 'tutorial');
+  assert.equal(core.score().percent, scorer.total(entries).percent);
+});
+
+test('calibration sorts rated findings by confidence', () => {
+  const core = newCore();
+  const idx = indexOf('Pressure Calibration');
+  core.addFinding(idx, 'title', 'title', 0, 0, { confidence: 3, justification: ' No title at all. ' });
+  core.addFinding(idx, 'legend', 'plot-area', 0, 0, { confidence: 3 });
+  const guess = core.addFinding(idx, 'zoom-level', 'plot-area', 0, 0, { confidence: 1 });
+  core.updateFinding(idx, guess.id, { confidence: 2 });
+  core.check(idx);
+
+  const cal = core.calibration();
+  assert.deepEqual(cal.levels.map(l => [l.correct, l.incorrect]), [[0, 0], [1, 0], [1, 1]]);
+  assert.equal(cal.confidentWrong, 1);
+  assert.equal(cal.rated, 3);
+  assert.equal(core.stateFor(idx).findings[0].justification, 'No title at all.');
+});
+
+test('a snapshot restores mid-session and grades the same', () => {
+  const core = newCore();
+  const a = indexOf('Vibration Spectrum'), b = indexOf('Pressure Calibration');
+  core.addFinding(a, 'y-axis-label', 'y-axis', 0, 0);
+  core.addFinding(a, 'overcrowding', 'plot-area', 0, 0);
+  core.revealHint(a);
+  findAll(core, b);
+  core.check(b);
+  const saved = JSON.parse(JSON.stringify(core.snapshot()));
+
+  const resumed = newCore();
+  resumed.restore(saved);
+  assert.equal(resumed.isChecked(b), true);
+  assert.equal(resumed.stateFor(a).hintsRevealed, 1);
+  // Ids keep counting from where the session left off
+  assert.equal(resumed.addFinding(a, 'title', 'title', 0, 0).id, saved.findingId + 1);
+  core.addFinding(a, 'title', 'title', 0, 0);
+
+  const original = core.check(a), replay = resumed.check(a);
+  assert.deepEqual(replay.score, original.score);
+  // 3 of 5 found, one hint: 6 - 0.5
+  assert.equal(replay.score.points, 5.5);
+  assert.deepEqual(resumed.score(), core.score());
+});
+
+test('restoring drops state for challenges past the end of the bank', () => {
+  const core = newCore();
+  const n = bank.challenges.length;
+  core.restore({ completed: [1, n], findingId: 4, states: { 1: { findings: [], hintsRevealed: 2 }, [n]: { findings: [] } } });
+  assert.deepEqual(core.snapshot().completed, [1]);
+  assert.deepEqual(Object.keys(core.snapshot().states), ['1']);
+});
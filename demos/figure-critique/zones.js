@@ -0,0 +1,50 @@
+/**
+ * Figure Critique hit zones: where each part of a rendered figure sits and
+ * which rubric items can be flagged there. index.html draws the figure with
+ * the same padding; bank.test.js validates the answer keys against these
+ * zones, so both see one layout.
+ *
+ *   computeFigureZones(W, H, challenge) => canvas zones (title, axes, plot
+ *                                          area, and the legend if shown)
+ *   textZones(captionEl, supportingEl)  => the caption and supporting-text
+ *                                          element zones below the canvas
+ */
+
+/* eslint-disable no-unused-vars */
+
+function computeFigureZones(W, H, challenge) {
+  const pad = { l: 72, r: 24, t: 32, b: 56 };
+  const pw = W - pad.l - pad.r;
+  const ph = H - pad.t - pad.b;
+
+  const zones = [
+    { id: 'title', label: 'Title', rect: { x: pad.l, y: 0, w: pw, h: pad.t }, rubricIds: ['title'] },
+    { id: 'y-axis', label: 'Y-axis', rect: { x: 0, y: pad.t, w: pad.l, h: ph }, rubricIds: ['y-axis-label', 'tick-legibility'] },
+    { id: 'x-axis', label: 'X-axis', rect: { x: pad.l, y: pad.t + ph, w: pw, h: pad.b }, rubricIds: ['x-axis-label', 'tick-legibility'] },
+    { id: 'plot-area', label: 'Plot area', rect: { x: pad.l, y: pad.t, w: pw, h: ph }, rubricIds: ['visual-clarity', 'overcrowding', 'data-trimming', 'zoom-level', 'legend'] },
+  ];
+
+  // Legend zone (if legend exists in config)
+  const cfg = challenge.plotConfig;
+  if (cfg.legend && cfg.legend.show !== false) {
+    const legX = cfg.legend.x != null ? cfg.legend.x : pad.l + pw - 140;
+    const legY = cfg.legend.y != null ? cfg.legend.y : pad.t + 10;
+    const legW = cfg.legend.width || 130;
+    const nItems = (cfg.series || []).filter(s => s.label).length;
+    const legH = nItems * 20 + 10;
+    zones.push({ id: 'legend', label: 'Legend', parent: 'plot-area', rect: { x: legX, y: legY, w: legW, h: Math.max(legH, 30) }, rubricIds: ['legend'] });
+  }
+
+  return zones;
+}
+
+// Caption and supporting text below the canvas, outlined on their elements
+// (the test passes none: only the ids and rubric items matter there)
+function textZones(captionEl, supportingEl) {
+  return [
+    { id: 'caption', label: 'Caption', el: captionEl, rubricIds: ['caption'] },
+    { id: 'supporting-text', label: 'Supporting text', el: supportingEl, rubricIds: ['supporting-text'] },
+  ];
+}
+
+if (typeof module !== 'undefined' && module.exports) module.exports = { computeFigureZones, textZones };
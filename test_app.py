@@ -0,0 +1,96 @@
+"""
+Tests for the submissions API and instructor dashboard in app.py. Run with:
+python -m unittest test_app
+"""
+
+import base64
+import json
+import os
+import tempfile
+import unittest
+
+import app as demos_app
+
+AUTH = {"Authorization": "Basic " + base64.b64encode(b"instructor:secret").decode()}
+
+
+class AppTestCase(unittest.TestCase):
+    def setUp(self):
+        fd, self.db_path = tempfile.mkstemp(suffix=".db")
+        os.close(fd)
+        self.saved = demos_app.DB_PATH, os.environ.get("INSTRUCTOR_PASSWORD")
+        demos_app.DB_PATH = self.db_path
+        os.environ["INSTRUCTOR_PASSWORD"] = "secret"
+        self.client = demos_app.app.test_client()
+
+    def tearDown(self):
+        demos_app.DB_PATH, password = self.saved
+        if password is None:
+            os.environ.pop("INSTRUCTOR_PASSWORD", None)
+        else:
+            os.environ["INSTRUCTOR_PASSWORD"] = password
+        os.remove(self.db_path)
+
+    def submit(self, payload, student="stu1", demo="figure-critique"):
+        return self.client.post("/api/submissions", json={"student": student, "demo": demo, "payload": payload})
+
+
+class SubmissionTest(AppTestCase):
+    def store(self, payload, student="stu1"):
+        # As a row stored before submissions were checked
+        with demos_app.app.app_context():
+            db = demos_app.get_db()
+            db.execute("INSERT INTO submissions (student, demo, submitted_at, payload) VALUES (?, ?, ?, ?)",
+                       (student, "figure-critique", "2026-10-19T12:00:00+00:00", json.dumps(payload)))
+            db.commit()
+
+    def test_scores_must_be_numbers_out_of_a_positive_maximum(self):
+        for score in ({"points": 1, "maxPoints": 0}, {"points": 1, "maxPoints": "0"}, {"points": "1", "maxPoints": 10},
+                      {"points": True, "maxPoints": 10}, [1], "full marks"):
+            with self.subTest(score=score):
+                self.assertEqual(self.submit({"score": score}).status_code, 400)
+                self.assertEqual(self.submit({"challenges": [{"title": "A", "score": score}]}).status_code, 400)
+        self.assertEqual(self.submit({"challenges": [{"title": ["A"]}]}).status_code, 400)
+        self.assertEqual(self.submit({"challenges": "A"}).status_code, 400)
+
+        ok = {"score": {"points": 5, "maxPoints": 10}, "challenges": [{"title": "A", "status": "skipped", "score": None}]}
+        self.assertEqual(self.submit(ok).status_code, 201)
+
+    def test_dashboard_and_csv_survive_malformed_stored_scores(self):
+        self.store({"score": {"points": 1, "maxPoints": "0"}, "challenges": [{"title": "A", "score": [1]}]})
+        self.store({"score": [1]}, student="stu2")
+        self.assertEqual(self.client.get("/instructor", headers=AUTH).status_code, 200)
+        res = self.client.get("/api/submissions.csv", headers=AUTH)
+        self.assertEqual(res.status_code, 200)
+        self.assertEqual(len(res.get_data(as_text=True).splitlines()), 3)
+
+    def test_csv_cells_that_look_like_formulas_are_prefixed(self):
+        payload = {"challenges": [{"title": "=HYPERLINK(\"http://evil.example\")", "status": "@SUM(A1)"}]}
+        self.assertEqual(self.submit(payload, student="+stu1").status_code, 201)
+        row = self.client.get("/api/submissions.csv", headers=AUTH).get_data(as_text=True).splitlines()[1]
+        self.assertTrue(row.endswith(""",'+stu1,figure-critique,"'=HYPERLINK(""http://evil.example"")",'@SUM(A1),,"""), row)
+
+
+class ExamReleaseTest(AppTestCase):
+    def test_release_button_works_for_a_bank_id_with_a_slash(self):
+        self.assertEqual(self.submit({"bankId": "e80/week3", "exam": {"seed": "stu1"}}).status_code, 201)
+
+        page = self.client.get("/instructor", headers=AUTH).get_data(as_text=True)
+        self.assertIn('action="api/exams/figure-critique/e80%2Fweek3"', page)
+
+        status = self.client.get("/api/exams/figure-critique/e80%2Fweek3").get_json()
+        self.assertEqual(status, {"demo": "figure-critique", "exam": "e80/week3", "released": False})
+
+        res = self.client.post("/api/exams/figure-critique/e80%2Fweek3", data={"released": "1"}, headers=AUTH)
+        self.assertEqual((res.status_code, res.headers["Location"]), (303, "/instructor"))
+        self.assertTrue(self.client.get("/api/exams/figure-critique/e80%2Fweek3").get_json()["released"])
+        self.assertIn("Withhold feedback", self.client.get("/instructor", headers=AUTH).get_data(as_text=True))
+
+    def test_only_the_instructor_can_release(self):
+        res = self.client.post("/api/exams/figure-critique/e80-figures", json={"released": True})
+        self.assertEqual(res.status_code, 401)
+        self.assertFalse(self.client.get("/api/exams/figure-critique/e80-figures").get_json()["released"])
+
+
+if __name__ == "__main__":
+    unittest.main()